@@ -1,9 +1,26 @@
 import express from "express";
 import cors from "cors";
 import cookieParser from "cookie-parser";
+import {
+  errorHandler,
+  notFoundHandler,
+} from "./middlewares/error.middleware.js";
+import { serveStaticWithoutVideos } from "./middlewares/static.middleware.js";
 
 const app = express();
 
+// Behind a reverse proxy / load balancer req.ip is the address of the proxy,
+// so every client would share the per-ip rate limits
+// TRUST_PROXY: "true", a number of hops or a list of proxy addresses / subnets
+// (see the "trust proxy" setting of express), unset when clients connect directly
+const parseTrustProxy = (value) => {
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+};
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
 app.use(
   cors({
     origin: process.env.CORS_ORIGIN,
@@ -13,19 +30,53 @@ app.use(
 
 app.use(express.json({ limit: "16kb" }));
 app.use(express.urlencoded({ extended: true, limit: "16kb" }));
-app.use(express.static("public"));
+// locally stored videos are only served through GET /api/v1/videos/:videoId/stream
+app.use(serveStaticWithoutVideos("public"));
 app.use(cookieParser());
 
 
 //routes import
 
 import userRouter from "./routes/user.routes.js";
+import videoRouter from "./routes/video.routes.js";
+import subscriptionRouter from "./routes/subscription.routes.js";
+import commentRouter from "./routes/comment.routes.js";
+import likeRouter from "./routes/like.routes.js";
+import playlistRouter from "./routes/playlist.routes.js";
+import tweetRouter from "./routes/tweet.routes.js";
+import adminRouter from "./routes/admin.routes.js";
+import reportRouter from "./routes/report.routes.js";
+import uploadRouter from "./routes/upload.routes.js";
+import feedRouter from "./routes/feed.routes.js";
+import dashboardRouter from "./routes/dashboard.routes.js";
+import searchRouter from "./routes/search.routes.js";
+import notificationRouter from "./routes/notification.routes.js";
+import jobRouter from "./routes/job.routes.js";
 
 //routes declaration
 // app.get when we were not using router
 // but now since we are using router , to use router we need to use middleware
 app.use("/api/v1/users", userRouter);
+app.use("/api/v1/videos", videoRouter);
+app.use("/api/v1/subscriptions", subscriptionRouter);
+app.use("/api/v1/comments", commentRouter);
+app.use("/api/v1/likes", likeRouter);
+app.use("/api/v1/playlists", playlistRouter);
+app.use("/api/v1/tweets", tweetRouter);
+app.use("/api/v1/admin", adminRouter);
+app.use("/api/v1/reports", reportRouter);
+app.use("/api/v1/uploads", uploadRouter);
+app.use("/api/v1/feed", feedRouter);
+app.use("/api/v1/dashboard", dashboardRouter);
+app.use("/api/v1/search", searchRouter);
+app.use("/api/v1/notifications", notificationRouter);
+app.use("/api/v1/jobs", jobRouter);
 // http://localhost:8000/api/v1/users/register
 // http://localhost:8000/api/v1/users/login
 
+// error handling, must be registered after all routes
+// unknown routes get a JSON 404, every error is rendered in the ApiError shape
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 export { app };
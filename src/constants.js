@@ -1 +1,168 @@
-export const DB_NAME = "videotube"
\ No newline at end of file
+export const DB_NAME = "videotube"
+
+// A viewer adds at most one view to a video within this window (default 6 hours)
+export const VIEW_COUNT_WINDOW_MS =
+  Number(process.env.VIEW_COUNT_WINDOW_MS) || 6 * 60 * 60 * 1000;
+// Watch progress reports (POST /videos/:videoId/views) a client ip can send per window
+export const VIEW_RATE_LIMIT_WINDOW_MS =
+  Number(process.env.VIEW_RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+export const VIEW_RATE_LIMIT_PER_IP =
+  Number(process.env.VIEW_RATE_LIMIT_PER_IP) || 60;
+
+// Maximum number of videos kept in a user's watch history
+export const WATCH_HISTORY_LIMIT =
+  Number(process.env.WATCH_HISTORY_LIMIT) || 100;
+
+// How long email verification and password reset links stay valid
+export const EMAIL_VERIFICATION_EXPIRY_MS = 24 * 60 * 60 * 1000;
+export const PASSWORD_RESET_EXPIRY_MS = 20 * 60 * 1000;
+
+// Roles a user can have, from least to most privileged
+export const USER_ROLES = ["user", "moderator", "admin"];
+
+// active: normal account
+// suspended: temporarily refused by login and verifyJWT (until suspendedUntil, or until lifted)
+// banned: permanently refused
+export const USER_STATUSES = ["active", "suspended", "banned"];
+
+// What can be reported and why
+export const REPORT_TARGET_TYPES = ["video", "comment", "user"];
+export const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "hate_speech",
+  "violence",
+  "sexual_content",
+  "misinformation",
+  "copyright",
+  "other",
+];
+
+// open -> under_review -> actioned | dismissed
+export const REPORT_STATUSES = [
+  "open",
+  "under_review",
+  "actioned",
+  "dismissed",
+];
+
+// Actions a moderator can take when closing the reports of a target
+export const REPORT_ACTIONS = ["dismiss", "unpublish_video", "suspend_owner"];
+
+// Rate limits of the auth routes (login, register, refresh-token), per window
+export const AUTH_RATE_LIMIT_WINDOW_MS =
+  Number(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+export const AUTH_RATE_LIMIT_PER_IP =
+  Number(process.env.AUTH_RATE_LIMIT_PER_IP) || 50;
+export const AUTH_RATE_LIMIT_PER_ACCOUNT =
+  Number(process.env.AUTH_RATE_LIMIT_PER_ACCOUNT) || 10;
+
+// Progressive lockout after repeated wrong passwords (see utils/loginThrottle.js)
+// failures are counted over LOGIN_FAILURE_WINDOW_MS and forgotten after a successful login
+export const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+export const LOGIN_LOCKOUT_BASE_MS = 60 * 1000;
+export const LOGIN_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+export const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Resumable uploads (see controllers/upload.controller.js)
+export const MAX_UPLOAD_SIZE =
+  Number(process.env.MAX_UPLOAD_SIZE) || 2 * 1024 * 1024 * 1024;
+export const MAX_UPLOAD_CHUNK_SIZE =
+  Number(process.env.MAX_UPLOAD_CHUNK_SIZE) || 50 * 1024 * 1024;
+// unfinished uploads a user can have at the same time
+export const MAX_CONCURRENT_UPLOADS =
+  Number(process.env.MAX_CONCURRENT_UPLOADS) || 3;
+// an upload session without activity for this long is abandoned and cleaned up
+export const UPLOAD_SESSION_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+// multer writes uploads here until they are handed to storage
+// files older than TEMP_FILE_MAX_AGE_MS were left by crashed requests and are swept
+export const TEMP_UPLOAD_DIR = "./public/temp";
+export const TEMP_FILE_MAX_AGE_MS = 2 * 60 * 60 * 1000;
+
+// Home feed ranking (see utils/feedRanking.js), every weight can be set to 0 to turn it off
+// score = recency * 0.5^(ageHours / FEED_RECENCY_HALF_LIFE_HOURS)
+//       + views * log10(views + 1) + likes * log10(likes + 1)
+//       + affinity * share of the watch history that comes from the channel
+// unset or invalid values fall back to the default, 0 is kept
+const feedWeight = (value, fallback) =>
+  value?.trim() && Number.isFinite(Number(value)) ? Number(value) : fallback;
+export const FEED_WEIGHTS = {
+  recency: feedWeight(process.env.FEED_WEIGHT_RECENCY, 3),
+  views: feedWeight(process.env.FEED_WEIGHT_VIEWS, 1),
+  likes: feedWeight(process.env.FEED_WEIGHT_LIKES, 1.5),
+  affinity: feedWeight(process.env.FEED_WEIGHT_AFFINITY, 4),
+};
+export const FEED_RECENCY_HALF_LIFE_HOURS =
+  Number(process.env.FEED_RECENCY_HALF_LIFE_HOURS) || 48;
+// only the newest videos are ranked, keeps the feed query cheap
+export const FEED_CANDIDATE_LIMIT =
+  Number(process.env.FEED_CANDIDATE_LIMIT) || 500;
+
+// Raw view events are kept this long, the hourly rollups (ViewStat) are kept forever
+export const VIEW_EVENT_RETENTION_DAYS =
+  Number(process.env.VIEW_EVENT_RETENTION_DAYS) || 90;
+
+// Windows of GET /videos/trending, views inside the window count half as much
+// every quarter of the window they are old
+export const TRENDING_WINDOWS = {
+  "24h": 24 * 60 * 60 * 1000,
+  "7d": 7 * 24 * 60 * 60 * 1000,
+  "30d": 30 * 24 * 60 * 60 * 1000,
+};
+
+// What GET /search can return, "all" blends every type by relevance
+export const SEARCH_TYPES = ["all", "video", "channel", "playlist"];
+
+// duration filter of GET /search, in seconds: [min, max)
+export const SEARCH_DURATION_BUCKETS = {
+  short: [0, 4 * 60],
+  medium: [4 * 60, 20 * 60],
+  long: [20 * 60, Infinity],
+};
+
+// What a user can be notified about, each type can be muted (User.mutedNotifications)
+// new_subscriber: someone subscribed to your channel
+// new_video: a channel you subscribed to published a video
+// comment / reply: someone commented on your video / replied to your comment
+// like_milestone: your video, comment or tweet reached one of LIKE_MILESTONES likes
+export const NOTIFICATION_TYPES = [
+  "new_subscriber",
+  "new_video",
+  "comment",
+  "reply",
+  "like_milestone",
+];
+export const LIKE_MILESTONES = [10, 100, 1000, 10000, 100000, 1000000];
+export const NOTIFICATION_RETENTION_DAYS =
+  Number(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+
+// Background jobs (see utils/jobQueue.js)
+// queued: waiting for its runAt, active: claimed by a worker until lockedUntil,
+// completed: done, dead: failed maxAttempts times (the dead-letter queue)
+export const JOB_STATUSES = ["queued", "active", "completed", "dead"];
+export const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 5;
+// a job whose worker did not finish or extend the lock in time is given to another worker
+export const JOB_VISIBILITY_TIMEOUT_MS =
+  Number(process.env.JOB_VISIBILITY_TIMEOUT_MS) || 5 * 60 * 1000;
+// retry n waits JOB_BACKOFF_BASE_MS * 2^(n - 1), at most JOB_BACKOFF_MAX_MS
+export const JOB_BACKOFF_BASE_MS =
+  Number(process.env.JOB_BACKOFF_BASE_MS) || 10 * 1000;
+export const JOB_BACKOFF_MAX_MS =
+  Number(process.env.JOB_BACKOFF_MAX_MS) || 60 * 60 * 1000;
+export const JOB_POLL_INTERVAL_MS =
+  Number(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+export const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+// completed jobs can be polled for this long
+export const JOB_RETENTION_DAYS = Number(process.env.JOB_RETENTION_DAYS) || 7;
+// files waiting for a job, kept for retries from the dead-letter queue
+export const JOB_FILE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// pending: waiting for its processing job, processing: being uploaded to storage,
+// ready: playable, failed: the processing job ended up in the dead-letter queue
+export const VIDEO_PROCESSING_STATUSES = [
+  "pending",
+  "processing",
+  "ready",
+  "failed",
+];
@@ -0,0 +1,308 @@
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Job } from "../models/job.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import {
+  HIDDEN_USER_FIELDS,
+  forceUnpublishVideo,
+  setUserStatus,
+} from "../utils/moderation.js";
+import { escapeRegex } from "../utils/search.js";
+import { retryDeadJob } from "../utils/jobQueue.js";
+
+/**
+ * @description Lists and searches users for the admin panel
+ * @function getUsers
+ * @param {Object} req - Express request object with page / limit / query / role / status query
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with paginated users, newest first
+ *
+ * query matches username, email and full name
+ */
+const getUsers = asyncHandler(async (req, res) => {
+  const { query, role, status } = req.validatedQuery;
+
+  const match = {};
+  if (role) match.role = role;
+  if (status) match.status = status;
+  if (query) {
+    const pattern = new RegExp(escapeRegex(query), "i");
+    match.$or = [
+      { username: pattern },
+      { email: pattern },
+      { fullName: pattern },
+    ];
+  }
+
+  const pipeline = User.aggregate([
+    {
+      $match: match,
+    },
+    {
+      $project: HIDDEN_USER_FIELDS,
+    },
+  ]);
+
+  const users = await User.aggregatePaginate(pipeline, {
+    ...getPaginationOptions(req.validatedQuery),
+    sort: { createdAt: -1, _id: -1 },
+    customLabels: {
+      docs: "users",
+    },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, users, "Users fetched successfully"));
+});
+
+/**
+ * @description Suspends, bans or reactivates a user
+ * @function updateUserStatus
+ * @param {Object} req - Express request object with userId param and status / reason / durationHours in body
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the updated user
+ *
+ * Steps:
+ * 1. Only admins may ban, moderators may suspend and reactivate
+ * 2. Staff cannot change their own account or one with an equal or higher role
+ * 3. Suspending or banning logs the user out of every device
+ */
+const updateUserStatus = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { status, reason, durationHours } = req.body;
+
+  const user = await setUserStatus(req.user, userId, {
+    status,
+    reason,
+    durationHours,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User status updated successfully"));
+});
+
+// Promotes or demotes a user, admins only (enforced by the route)
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  if (req.user._id.equals(userId)) {
+    throw new ApiError(400, "You cannot change your own role");
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { role } },
+    { new: true }
+  ).select(HIDDEN_USER_FIELDS);
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User role updated successfully"));
+});
+
+/**
+ * @description Takes a video down, the owner cannot publish it again
+ * @function unpublishVideo
+ * @param {Object} req - Express request object with videoId param and reason in body
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the moderation fields of the video
+ */
+const unpublishVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { reason } = req.body;
+
+  const video = await forceUnpublishVideo(req.user, videoId, reason);
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video unpublished successfully"));
+});
+
+// Lifts a force-unpublish, the video is published again
+const restoreVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  // a video whose processing job did not finish yet stays unpublished,
+  // the job publishes it once it is ready
+  const video = await Video.findByIdAndUpdate(
+    videoId,
+    [
+      {
+        $set: {
+          isPublished: {
+            $not: [
+              {
+                $in: ["$processingStatus", ["pending", "processing", "failed"]],
+              },
+            ],
+          },
+        },
+      },
+      { $unset: ["unpublishedBy", "unpublishReason", "unpublishedAt"] },
+    ],
+    { new: true }
+  ).select("title owner isPublished");
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video restored successfully"));
+});
+
+/**
+ * @description Platform wide numbers for the admin dashboard
+ * @function getPlatformStats
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with user, video and engagement counts
+ */
+const getPlatformStats = asyncHandler(async (req, res) => {
+  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+  const [[users], [videos], subscriptions, comments, likes, tweets] =
+    await Promise.all([
+      User.aggregate([
+        {
+          $facet: {
+            // accounts created before roles existed have no role / status yet
+            byRole: [
+              {
+                $group: {
+                  _id: { $ifNull: ["$role", "user"] },
+                  count: { $sum: 1 },
+                },
+              },
+            ],
+            byStatus: [
+              {
+                $group: {
+                  _id: { $ifNull: ["$status", "active"] },
+                  count: { $sum: 1 },
+                },
+              },
+            ],
+            total: [{ $count: "count" }],
+            newThisWeek: [
+              { $match: { createdAt: { $gte: weekAgo } } },
+              { $count: "count" },
+            ],
+          },
+        },
+      ]),
+      Video.aggregate([
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            published: { $sum: { $cond: ["$isPublished", 1, 0] } },
+            forceUnpublished: {
+              $sum: { $cond: [{ $ifNull: ["$unpublishedBy", false] }, 1, 0] },
+            },
+            totalViews: { $sum: "$views" },
+          },
+        },
+      ]),
+      Subscription.estimatedDocumentCount(),
+      Comment.estimatedDocumentCount(),
+      Like.estimatedDocumentCount(),
+      Tweet.estimatedDocumentCount(),
+    ]);
+
+  // [{ _id: "admin", count: 1 }, ...] -> { admin: 1, ... }
+  const toCounts = (groups) =>
+    Object.fromEntries(groups.map(({ _id, count }) => [_id, count]));
+
+  const stats = {
+    users: {
+      total: users.total[0]?.count || 0,
+      newThisWeek: users.newThisWeek[0]?.count || 0,
+      byRole: toCounts(users.byRole),
+      byStatus: toCounts(users.byStatus),
+    },
+    videos: {
+      total: videos?.total || 0,
+      published: videos?.published || 0,
+      forceUnpublished: videos?.forceUnpublished || 0,
+      totalViews: videos?.totalViews || 0,
+    },
+    subscriptions,
+    comments,
+    likes,
+    tweets,
+  };
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, stats, "Platform stats fetched successfully"));
+});
+
+/**
+ * @description Lists background jobs, e.g. the dead-letter queue with ?status=dead
+ * @function getJobs
+ * @param {Object} req - Express request object with page / limit / status / name query
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with paginated jobs, most recently updated first
+ */
+const getJobs = asyncHandler(async (req, res) => {
+  const { status, name } = req.validatedQuery;
+
+  const match = {};
+  if (status) match.status = status;
+  if (name) match.name = name;
+
+  const jobs = await Job.aggregatePaginate(Job.aggregate([{ $match: match }]), {
+    ...getPaginationOptions(req.validatedQuery),
+    sort: { updatedAt: -1, _id: -1 },
+    customLabels: {
+      docs: "jobs",
+    },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, jobs, "Jobs fetched successfully"));
+});
+
+// Puts a job of the dead-letter queue back in the queue
+const retryJob = asyncHandler(async (req, res) => {
+  const job = await retryDeadJob(req.params.jobId);
+  if (!job) {
+    throw new ApiError(404, "Job not found in the dead-letter queue");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, job, "Job queued for retry"));
+});
+
+export {
+  getUsers,
+  updateUserStatus,
+  updateUserRole,
+  unpublishVideo,
+  restoreVideo,
+  getPlatformStats,
+  getJobs,
+  retryJob,
+};
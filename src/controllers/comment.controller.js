@@ -0,0 +1,244 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Comment } from "../models/comment.model.js";
+import { Video } from "../models/video.model.js";
+import { Like } from "../models/like.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { assertOwner, isOwner } from "../utils/ownership.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { lookupLikes, lookupUserSummary } from "../utils/aggregations.js";
+import { getEventBus } from "../utils/eventBus/index.js";
+
+// Loads a video the user may see, comments of hidden videos are hidden too
+const findVisibleVideo = async (videoId, userId) => {
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findVisibleById(videoId, userId);
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  return video;
+};
+
+const findComment = async (commentId) => {
+  if (!isValidObjectId(commentId)) {
+    throw new ApiError(400, "Invalid comment id");
+  }
+
+  const comment = await Comment.findById(commentId);
+  if (!comment) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  return comment;
+};
+
+// Pipeline stages shared by comment and reply listings:
+// owner summary, likes and the number of replies of each comment
+const commentDetailsStages = (userId) => [
+  ...lookupUserSummary("owner"),
+  ...lookupLikes("comment", userId),
+  {
+    $lookup: {
+      from: "comments",
+      localField: "_id",
+      foreignField: "parent",
+      as: "replies",
+      pipeline: [{ $count: "count" }],
+    },
+  },
+  {
+    $addFields: {
+      replyCount: {
+        $ifNull: [{ $first: "$replies.count" }, 0],
+      },
+    },
+  },
+  {
+    $project: {
+      replies: 0,
+    },
+  },
+];
+
+/**
+ * @description Lists the top level comments of a video
+ * @function getVideoComments
+ * @param {Object} req - Express request object with videoId param and page / limit query
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with paginated comments, each with owner and replyCount
+ */
+const getVideoComments = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await findVisibleVideo(videoId, req.user?._id);
+
+  const pipeline = Comment.aggregate([
+    {
+      $match: {
+        video: video._id,
+        parent: null,
+      },
+    },
+    ...commentDetailsStages(req.user?._id),
+  ]);
+
+  const comments = await Comment.aggregatePaginate(pipeline, {
+    ...getPaginationOptions(req.validatedQuery),
+    sort: { createdAt: -1 },
+    customLabels: {
+      docs: "comments",
+    },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comments, "Comments fetched successfully"));
+});
+
+/**
+ * @description Lists the replies of a comment, oldest first
+ * @function getCommentReplies
+ * @param {Object} req - Express request object with commentId param and page / limit query
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with paginated replies
+ */
+const getCommentReplies = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await findComment(commentId);
+  await findVisibleVideo(comment.video, req.user?._id);
+
+  const pipeline = Comment.aggregate([
+    {
+      $match: {
+        parent: new mongoose.Types.ObjectId(commentId),
+      },
+    },
+    ...commentDetailsStages(req.user?._id),
+  ]);
+
+  const replies = await Comment.aggregatePaginate(pipeline, {
+    ...getPaginationOptions(req.validatedQuery),
+    sort: { createdAt: 1 },
+    customLabels: {
+      docs: "replies",
+    },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, replies, "Replies fetched successfully"));
+});
+
+/**
+ * @description Adds a comment to a video, or a reply when parentId is given
+ * @function addComment
+ * @param {Object} req - Express request object with videoId param, content and optional parentId
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the created comment
+ *
+ * Replies are one level deep: replying to a reply attaches to its top level comment
+ */
+const addComment = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { content, parentId } = req.body;
+
+  if (!content?.trim()) {
+    throw new ApiError(400, "Comment content is required");
+  }
+
+  const video = await findVisibleVideo(videoId, req.user._id);
+
+  let parent = null;
+  let repliedTo = null;
+  if (parentId) {
+    const parentComment = await findComment(parentId);
+    if (!parentComment.video.equals(video._id)) {
+      throw new ApiError(400, "Parent comment belongs to another video");
+    }
+    parent = parentComment.parent || parentComment._id;
+    repliedTo = parentComment.owner;
+  }
+
+  const comment = await Comment.create({
+    content: content.trim(),
+    video: video._id,
+    owner: req.user._id,
+    parent,
+  });
+
+  // the video owner and the author of the replied comment get notified
+  await getEventBus().publish("comment.created", {
+    comment: comment._id,
+    video: video._id,
+    author: req.user._id,
+    videoOwner: video.owner,
+    repliedTo,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, comment, "Comment added successfully"));
+});
+
+const updateComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const { content } = req.body;
+
+  if (!content?.trim()) {
+    throw new ApiError(400, "Comment content is required");
+  }
+
+  const comment = await findComment(commentId);
+
+  // only the author may edit a comment
+  assertOwner(comment, req.user, {
+    message: "You are not allowed to edit this comment",
+  });
+
+  comment.content = content.trim();
+  await comment.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comment, "Comment updated successfully"));
+});
+
+const deleteComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await findComment(commentId);
+
+  // the author and the owner of the video may delete a comment
+  if (!isOwner(comment, req.user)) {
+    const video = await Video.findById(comment.video).select("owner");
+    assertOwner(video, req.user, {
+      allowRoles: ["moderator", "admin"],
+      message: "You are not allowed to delete this comment",
+    });
+  }
+
+  // deleting a top level comment removes its replies (and all their likes) as well
+  const commentIds = await Comment.find({
+    $or: [{ _id: comment._id }, { parent: comment._id }],
+  }).distinct("_id");
+  await Like.deleteMany({ comment: { $in: commentIds } });
+  await Comment.deleteMany({ _id: { $in: commentIds } });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Comment deleted successfully"));
+});
+
+export {
+  getVideoComments,
+  getCommentReplies,
+  addComment,
+  updateComment,
+  deleteComment,
+};
@@ -0,0 +1,222 @@
+import { Video } from "../models/video.model.js";
+import { Like } from "../models/like.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { Unsubscription } from "../models/unsubscription.model.js";
+import { ViewStat } from "../models/viewStat.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How many videos the dashboard lists as top videos
+const TOP_VIDEOS_LIMIT = 10;
+
+// Groups documents of a channel per day (UTC) of a date field
+// @returns {Array<Object>} - stages producing [{ _id: "2024-01-31", count }]
+const countPerDayStages = (match, dateField) => [
+  { $match: match },
+  {
+    $group: {
+      _id: { $dateToString: { format: "%Y-%m-%d", date: `$${dateField}` } },
+      count: { $sum: 1 },
+    },
+  },
+];
+
+// Every day from since until today, as "YYYY-MM-DD"
+const listDays = (since) => {
+  const days = [];
+  for (let day = since.getTime(); day <= Date.now(); day += DAY_MS) {
+    days.push(new Date(day).toISOString().slice(0, 10));
+  }
+  return days;
+};
+
+// [{ _id: "2024-01-31", count: 2 }, ...] -> { "2024-01-31": 2, ... }
+const toDayMap = (groups, field = "count") =>
+  Object.fromEntries(groups.map((group) => [group._id, group[field]]));
+
+/**
+ * @description Analytics of the current user's channel
+ * @function getChannelStats
+ * @param {Object} req - Express request object with days query (length of the range, default 30)
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with totals, range summary, daily series and top videos
+ *
+ * Steps:
+ * 1. Lifetime totals: views, videos, likes and current subscribers
+ * 2. Views and watch time per day from the hourly ViewStat rollups
+ * 3. Subscribers gained per day from Subscription.createdAt, plus the
+ *    subscriptions of the range that were cancelled since (Unsubscription.subscribedAt)
+ * 4. Subscribers lost per day from Unsubscription.createdAt
+ * 5. Most watched videos of the range and the average watch percentage
+ *
+ * Days are UTC, days without activity are listed with zeros
+ */
+const getChannelStats = asyncHandler(async (req, res) => {
+  const { days = 30 } = req.validatedQuery;
+  const channel = req.user._id;
+
+  // start of the first day of the range (UTC), today included
+  const since = new Date(
+    Math.floor(Date.now() / DAY_MS) * DAY_MS - (days - 1) * DAY_MS
+  );
+
+  const videoIds = await Video.find({ owner: channel }).distinct("_id");
+
+  const [
+    [videoTotals],
+    likes,
+    subscribers,
+    [rangeTotals],
+    dailyViews,
+    subscribed,
+    cancelledSubscriptions,
+    unsubscribed,
+    topVideos,
+  ] = await Promise.all([
+    Video.aggregate([
+      { $match: { owner: channel } },
+      {
+        $group: {
+          _id: null,
+          videos: { $sum: 1 },
+          views: { $sum: "$views" },
+        },
+      },
+    ]),
+    Like.countDocuments({ video: { $in: videoIds } }),
+    Subscription.countDocuments({ channel }),
+    ViewStat.aggregate([
+      { $match: { channel, bucket: { $gte: since } } },
+      {
+        $group: {
+          _id: null,
+          views: { $sum: "$views" },
+          watchedSeconds: { $sum: "$watchedSeconds" },
+          watchPercentageSum: { $sum: "$watchPercentageSum" },
+          watchPercentageCount: { $sum: "$watchPercentageCount" },
+        },
+      },
+    ]),
+    ViewStat.aggregate([
+      { $match: { channel, bucket: { $gte: since } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: "%Y-%m-%d", date: "$bucket" } },
+          views: { $sum: "$views" },
+          watchedSeconds: { $sum: "$watchedSeconds" },
+        },
+      },
+    ]),
+    Subscription.aggregate(
+      countPerDayStages({ channel, createdAt: { $gte: since } }, "createdAt")
+    ),
+    Unsubscription.aggregate(
+      countPerDayStages(
+        { channel, subscribedAt: { $gte: since } },
+        "subscribedAt"
+      )
+    ),
+    Unsubscription.aggregate(
+      countPerDayStages({ channel, createdAt: { $gte: since } }, "createdAt")
+    ),
+    ViewStat.aggregate([
+      { $match: { channel, bucket: { $gte: since } } },
+      {
+        $group: {
+          _id: "$video",
+          rangeViews: { $sum: "$views" },
+          watchedSeconds: { $sum: "$watchedSeconds" },
+          watchPercentageSum: { $sum: "$watchPercentageSum" },
+          watchPercentageCount: { $sum: "$watchPercentageCount" },
+        },
+      },
+      { $sort: { rangeViews: -1, _id: 1 } },
+      { $limit: TOP_VIDEOS_LIMIT },
+      {
+        $lookup: {
+          from: "videos",
+          localField: "_id",
+          foreignField: "_id",
+          as: "video",
+          pipeline: [
+            {
+              $project: {
+                title: 1,
+                thumbnail: 1,
+                duration: 1,
+                views: 1,
+                isPublished: 1,
+                createdAt: 1,
+              },
+            },
+          ],
+        },
+      },
+      // videos deleted since are left out
+      { $unwind: "$video" },
+      {
+        $project: {
+          _id: 0,
+          video: 1,
+          views: "$rangeViews",
+          watchedSeconds: 1,
+          averageWatchPercentage: {
+            $cond: [
+              { $gt: ["$watchPercentageCount", 0] },
+              { $divide: ["$watchPercentageSum", "$watchPercentageCount"] },
+              null,
+            ],
+          },
+        },
+      },
+    ]),
+  ]);
+
+  const viewsPerDay = toDayMap(dailyViews, "views");
+  const watchedSecondsPerDay = toDayMap(dailyViews, "watchedSeconds");
+  const subscribedPerDay = toDayMap(subscribed);
+  const cancelledPerDay = toDayMap(cancelledSubscriptions);
+  const unsubscribedPerDay = toDayMap(unsubscribed);
+
+  const daily = listDays(since).map((date) => ({
+    date,
+    views: viewsPerDay[date] || 0,
+    watchedSeconds: watchedSecondsPerDay[date] || 0,
+    subscribersGained:
+      (subscribedPerDay[date] || 0) + (cancelledPerDay[date] || 0),
+    subscribersLost: unsubscribedPerDay[date] || 0,
+  }));
+
+  const sum = (field) => daily.reduce((total, day) => total + day[field], 0);
+
+  const stats = {
+    days,
+    totals: {
+      views: videoTotals?.views || 0,
+      videos: videoTotals?.videos || 0,
+      likes,
+      subscribers,
+    },
+    range: {
+      from: since,
+      views: rangeTotals?.views || 0,
+      watchedSeconds: rangeTotals?.watchedSeconds || 0,
+      subscribersGained: sum("subscribersGained"),
+      subscribersLost: sum("subscribersLost"),
+      // null when no view of the range had a known duration
+      averageWatchPercentage: rangeTotals?.watchPercentageCount
+        ? rangeTotals.watchPercentageSum / rangeTotals.watchPercentageCount
+        : null,
+    },
+    daily,
+    topVideos,
+  };
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, stats, "Channel stats fetched successfully"));
+});
+
+export { getChannelStats };
@@ -0,0 +1,113 @@
+import { Video } from "../models/video.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  afterCursor,
+  decodeCursor,
+  encodeCursor,
+  getPaginationOptions,
+} from "../utils/pagination.js";
+import { lookupLikes, lookupUserSummary } from "../utils/aggregations.js";
+import {
+  getChannelAffinities,
+  rankVideosStages,
+} from "../utils/feedRanking.js";
+
+/**
+ * @description Newest published videos of the channels the current user subscribed to
+ * @function getSubscriptionFeed
+ * @param {Object} req - Express request object with cursor / limit query
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with { videos, nextCursor, hasNextPage }
+ *
+ * Cursor paginated: pass nextCursor as cursor to get the following page,
+ * videos published in the meantime do not shift the pages
+ */
+const getSubscriptionFeed = asyncHandler(async (req, res) => {
+  const { cursor } = req.validatedQuery;
+  const { limit } = getPaginationOptions(req.validatedQuery, 20);
+
+  const channelIds = await Subscription.find({
+    subscriber: req.user._id,
+  }).distinct("channel");
+
+  const match = { owner: { $in: channelIds }, isPublished: true };
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) {
+      throw new ApiError(400, "Invalid cursor");
+    }
+    Object.assign(match, afterCursor(position));
+  }
+
+  // one extra video tells whether there is a next page
+  const videos = await Video.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $limit: limit + 1 },
+    ...lookupUserSummary("owner"),
+    ...lookupLikes("video", req.user._id),
+  ]);
+
+  const hasNextPage = videos.length > limit;
+  if (hasNextPage) videos.pop();
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        videos,
+        nextCursor: hasNextPage ? encodeCursor(videos.at(-1)) : null,
+        hasNextPage,
+      },
+      "Subscription feed fetched successfully"
+    )
+  );
+});
+
+/**
+ * @description Personalized home feed
+ * @function getHomeFeed
+ * @param {Object} req - Express request object with page / limit query
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with paginated videos, best score first
+ *
+ * Steps:
+ * 1. Anonymous users get the trending ranking (recency, views, likes)
+ * 2. Logged in users additionally get a boost for channels they often watch
+ * 3. Videos already in the watch history and the user's own videos are left out
+ *
+ * Weights are set with FEED_WEIGHT_* (see constants.js)
+ */
+const getHomeFeed = asyncHandler(async (req, res) => {
+  const match = { isPublished: true };
+  let affinities = [];
+
+  if (req.user) {
+    const watchHistory = req.user.watchHistory || [];
+    match._id = { $nin: watchHistory };
+    match.owner = { $ne: req.user._id };
+    affinities = await getChannelAffinities(watchHistory);
+  }
+
+  const pipeline = Video.aggregate([
+    ...rankVideosStages(match, { userId: req.user?._id, affinities }),
+    ...lookupUserSummary("owner"),
+  ]);
+
+  const videos = await Video.aggregatePaginate(pipeline, {
+    ...getPaginationOptions(req.validatedQuery, 20),
+    sort: { score: -1, _id: 1 },
+    customLabels: {
+      docs: "videos",
+    },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Home feed fetched successfully"));
+});
+
+export { getSubscriptionFeed, getHomeFeed };
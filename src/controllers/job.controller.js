@@ -0,0 +1,37 @@
+import { Job } from "../models/job.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { assertOwner } from "../utils/ownership.js";
+
+/**
+ * @description Status of a background job, polled by clients (e.g. after publishing a video)
+ * @function getJobStatus
+ * @param {Object} req - Express request object with jobId param
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the job, without its payload
+ *
+ * status: queued | active | completed | dead (failed for good, see lastError)
+ * Only the user the job was enqueued for and staff can see it
+ */
+const getJobStatus = asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+
+  const job = await Job.findById(jobId).select(
+    "-payload -lockedBy -lockedUntil"
+  );
+  if (!job) {
+    throw new ApiError(404, "Job not found");
+  }
+
+  assertOwner(job, req.user, {
+    allowRoles: ["moderator", "admin"],
+    message: "You are not allowed to see this job",
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, job, "Job fetched successfully"));
+});
+
+export { getJobStatus };
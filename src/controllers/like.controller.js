@@ -0,0 +1,164 @@
+import { isValidObjectId } from "mongoose";
+import { Like } from "../models/like.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { lookupUserSummary } from "../utils/aggregations.js";
+import { getEventBus } from "../utils/eventBus/index.js";
+
+// Likes the target for the user, or removes the like when it already exists
+// New likes are published as "like.created" (like milestone notifications)
+// @param {string} target - "video", "comment" or "tweet"
+// @param {Object} document - the liked document (_id and owner)
+// @param {ObjectId} userId - current user
+// @returns {Promise<{isLiked: boolean, likesCount: number}>}
+const toggleLike = async (target, document, userId) => {
+  const filter = { [target]: document._id, likedBy: userId };
+
+  const existingLike = await Like.findOneAndDelete(filter);
+
+  if (!existingLike) {
+    try {
+      await Like.create(filter);
+    } catch (error) {
+      // 11000 - duplicate key, a parallel request already liked it
+      if (error?.code === 11000) {
+        throw new ApiError(409, `You already liked this ${target}`);
+      }
+      throw error;
+    }
+  }
+
+  const likesCount = await Like.countDocuments({ [target]: document._id });
+
+  if (!existingLike) {
+    await getEventBus().publish("like.created", {
+      target,
+      targetId: document._id,
+      targetOwner: document.owner,
+      likesCount,
+    });
+  }
+
+  return { isLiked: !existingLike, likesCount };
+};
+
+const toggleVideoLike = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findVisibleById(videoId, req.user._id);
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  const result = await toggleLike("video", video, req.user._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Video like toggled successfully"));
+});
+
+const toggleCommentLike = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  if (!isValidObjectId(commentId)) {
+    throw new ApiError(400, "Invalid comment id");
+  }
+
+  const comment = await Comment.findById(commentId);
+  if (!comment || !(await Video.findVisibleById(comment.video, req.user._id))) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  const result = await toggleLike("comment", comment, req.user._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Comment like toggled successfully"));
+});
+
+const toggleTweetLike = asyncHandler(async (req, res) => {
+  const { tweetId } = req.params;
+
+  if (!isValidObjectId(tweetId)) {
+    throw new ApiError(400, "Invalid tweet id");
+  }
+
+  const tweet = await Tweet.findById(tweetId).select("owner");
+  if (!tweet) {
+    throw new ApiError(404, "Tweet not found");
+  }
+
+  const result = await toggleLike("tweet", tweet, req.user._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Tweet like toggled successfully"));
+});
+
+/**
+ * @description Lists the videos liked by the current user, most recent like first
+ * @function getLikedVideos
+ * @param {Object} req - Express request object with page / limit query
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with paginated liked videos and their owners
+ */
+const getLikedVideos = asyncHandler(async (req, res) => {
+  const pipeline = Like.aggregate([
+    {
+      $match: {
+        likedBy: req.user._id,
+        video: { $exists: true },
+      },
+    },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "video",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          {
+            $match: {
+              $or: [{ isPublished: true }, { owner: req.user._id }],
+            },
+          },
+          ...lookupUserSummary("owner"),
+        ],
+      },
+    },
+    {
+      $unwind: "$video",
+    },
+    {
+      $project: {
+        video: 1,
+        likedAt: "$createdAt",
+      },
+    },
+  ]);
+
+  const likedVideos = await Like.aggregatePaginate(pipeline, {
+    ...getPaginationOptions(req.validatedQuery),
+    sort: { likedAt: -1 },
+    customLabels: {
+      docs: "videos",
+    },
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, likedVideos, "Liked videos fetched successfully")
+    );
+});
+
+export { toggleVideoLike, toggleCommentLike, toggleTweetLike, getLikedVideos };
@@ -0,0 +1,240 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Notification } from "../models/notification.model.js";
+import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { lookupUserSummary } from "../utils/aggregations.js";
+import { subscribeToNotifications } from "../utils/notifications.js";
+import { NOTIFICATION_TYPES } from "../constants.js";
+
+// Comment lines keep proxies from closing an idle stream
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// At most this many missed notifications are replayed when a stream reconnects
+const STREAM_REPLAY_LIMIT = 50;
+
+// verifyJWT only checked the login when the stream opened, a stream may stay
+// open for hours: false once the session was revoked (logout, reuse detection,
+// password reset) or the account was suspended / banned
+const isStreamStillAllowed = async (req) => {
+  const [session, user] = await Promise.all([
+    Session.findActive(req.authSession._id, req.user._id),
+    User.findById(req.user._id).select("status suspendedUntil"),
+  ]);
+  return !!session && !!user && !user.isAccessBlocked();
+};
+
+// Writes one server-sent event
+const writeEvent = (res, event, data, id) => {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * @description Live notifications of the current user as server-sent events
+ * @function streamNotifications
+ * @param {Object} req - Express request object, Last-Event-ID header on reconnect
+ * @param {Object} res - Express response object, kept open
+ *
+ * Events:
+ * - unread: { count } once the stream is open
+ * - notification: a new notification, its id is the event id
+ *
+ * Browsers reconnect by themselves and send the id of the last event they got,
+ * the notifications missed in between are sent first
+ * The login is checked again on every heartbeat, the stream ends with an
+ * "end" event once it is no longer valid
+ */
+const streamNotifications = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // nginx would otherwise buffer the events
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 10000\n\n");
+
+  // subscribed before the replay so nothing published meanwhile is lost
+  const unsubscribe = subscribeToNotifications(userId, (notification) =>
+    writeEvent(res, "notification", notification, notification._id)
+  );
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await isStreamStillAllowed(req))) {
+        close();
+        writeEvent(res, "end", {
+          reason: "Session has expired or was revoked",
+        });
+        return res.end();
+      }
+      res.write(": ping\n\n");
+    } catch (error) {
+      // e.g. the database is unreachable, the next heartbeat checks again
+      console.error("Notification stream: login check failed", error);
+    }
+  }, STREAM_HEARTBEAT_MS);
+  req.on("close", close);
+
+  const lastEventId = req.get("Last-Event-ID");
+  if (isValidObjectId(lastEventId)) {
+    const missed = await Notification.aggregate([
+      {
+        $match: {
+          recipient: userId,
+          _id: { $gt: new mongoose.Types.ObjectId(lastEventId) },
+        },
+      },
+      { $sort: { _id: 1 } },
+      { $limit: STREAM_REPLAY_LIMIT },
+      ...lookupUserSummary("actor"),
+    ]);
+    for (const notification of missed) {
+      writeEvent(res, "notification", notification, notification._id);
+    }
+  }
+
+  const count = await Notification.countDocuments({
+    recipient: userId,
+    readAt: null,
+  });
+  writeEvent(res, "unread", { count });
+});
+
+/**
+ * @description Notification inbox of the current user, newest first
+ * @function getNotifications
+ * @param {Object} req - Express request object with page / limit and unread (true to list unread only) query
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with paginated notifications and unreadCount
+ */
+const getNotifications = asyncHandler(async (req, res) => {
+  const { unread } = req.validatedQuery;
+
+  const match = { recipient: req.user._id };
+  if (unread) match.readAt = null;
+
+  const pipeline = Notification.aggregate([
+    { $match: match },
+    ...lookupUserSummary("actor"),
+  ]);
+
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.aggregatePaginate(pipeline, {
+      ...getPaginationOptions(req.validatedQuery, 20),
+      sort: { createdAt: -1, _id: -1 },
+      customLabels: {
+        docs: "notifications",
+      },
+    }),
+    Notification.countDocuments({ recipient: req.user._id, readAt: null }),
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...notifications, unreadCount },
+        "Notifications fetched successfully"
+      )
+    );
+});
+
+// Marks one notification of the current user as read or unread
+const markNotification = asyncHandler(async (req, res) => {
+  const { notificationId } = req.params;
+  const { read } = req.body;
+
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, recipient: req.user._id },
+    { readAt: read ? new Date() : null },
+    { new: true }
+  );
+  if (!notification) {
+    throw new ApiError(404, "Notification not found");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, notification, "Notification updated successfully")
+    );
+});
+
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { recipient: req.user._id, readAt: null },
+    { readAt: new Date() }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { updated: result.modifiedCount },
+        "Notifications marked as read"
+      )
+    );
+});
+
+// { type: isMuted } for every notification type
+const toPreferences = (mutedNotifications = []) =>
+  Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [type, mutedNotifications.includes(type)])
+  );
+
+const getNotificationPreferences = asyncHandler(async (req, res) => {
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { muted: toPreferences(req.user.mutedNotifications) },
+        "Notification preferences fetched successfully"
+      )
+    );
+});
+
+// Mutes or unmutes one notification type for the current user
+const updateNotificationPreferences = asyncHandler(async (req, res) => {
+  const { type, muted } = req.body;
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    muted
+      ? { $addToSet: { mutedNotifications: type } }
+      : { $pull: { mutedNotifications: type } },
+    { new: true }
+  ).select("mutedNotifications");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { muted: toPreferences(user.mutedNotifications) },
+        "Notification preferences updated successfully"
+      )
+    );
+});
+
+export {
+  streamNotifications,
+  getNotifications,
+  markNotification,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+};
@@ -0,0 +1,283 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Playlist } from "../models/playlist.model.js";
+import { Video } from "../models/video.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { assertOwner } from "../utils/ownership.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  lookupUserSummary,
+  lookupVideosInOrder,
+} from "../utils/aggregations.js";
+
+// Loads a playlist and makes sure the current user owns it
+// Used by every action that changes or removes a playlist
+const findOwnedPlaylist = async (playlistId, user) => {
+  if (!isValidObjectId(playlistId)) {
+    throw new ApiError(400, "Invalid playlist id");
+  }
+
+  const playlist = await Playlist.findById(playlistId);
+  if (!playlist) {
+    throw new ApiError(404, "Playlist not found");
+  }
+
+  assertOwner(playlist, user, {
+    message: "You are not allowed to modify this playlist",
+  });
+
+  return playlist;
+};
+
+const createPlaylist = asyncHandler(async (req, res) => {
+  const { name, description, isPublic } = req.body;
+
+  if (!name?.trim()) {
+    throw new ApiError(400, "Playlist name is required");
+  }
+
+  const playlist = await Playlist.create({
+    name: name.trim(),
+    description: description?.trim() || "",
+    isPublic: isPublic === undefined ? true : Boolean(isPublic),
+    owner: req.user._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, playlist, "Playlist created successfully"));
+});
+
+/**
+ * @description Lists the playlists of a user
+ * @function getUserPlaylists
+ * @param {Object} req - Express request object with userId param
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the playlists and their video counts
+ *
+ * Private playlists are only listed when the user asks for their own playlists
+ */
+const getUserPlaylists = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  const match = { owner: new mongoose.Types.ObjectId(userId) };
+  if (!req.user?._id.equals(userId)) {
+    match.isPublic = true;
+  }
+
+  const playlists = await Playlist.aggregate([
+    {
+      $match: match,
+    },
+    ...lookupVideosInOrder("videos", req.user?._id),
+    {
+      $addFields: {
+        videosCount: { $size: "$videos" },
+        // first playable video, used as the playlist cover
+        thumbnail: { $first: "$videos.thumbnail" },
+      },
+    },
+    {
+      $project: {
+        videos: 0,
+      },
+    },
+    {
+      $sort: { updatedAt: -1 },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlists, "Playlists fetched successfully"));
+});
+
+/**
+ * @description Fetches a playlist with its videos in playlist order
+ * @function getPlaylistById
+ * @param {Object} req - Express request object with playlistId param
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the playlist, its owner and videos
+ *
+ * Deleted and unpublished videos are left out of the result
+ */
+const getPlaylistById = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+
+  if (!isValidObjectId(playlistId)) {
+    throw new ApiError(400, "Invalid playlist id");
+  }
+
+  const playlist = await Playlist.aggregate([
+    {
+      $match: {
+        _id: new mongoose.Types.ObjectId(playlistId),
+      },
+    },
+    ...lookupVideosInOrder("videos", req.user?._id),
+    ...lookupUserSummary("owner"),
+    {
+      $addFields: {
+        videosCount: { $size: "$videos" },
+      },
+    },
+  ]);
+
+  const isOwner = !!req.user && playlist[0]?.owner?._id.equals(req.user._id);
+
+  if (!playlist.length || (!playlist[0].isPublic && !isOwner)) {
+    throw new ApiError(404, "Playlist not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist[0], "Playlist fetched successfully"));
+});
+
+const updatePlaylist = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+  const { name, description, isPublic } = req.body;
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user);
+
+  if (name !== undefined) {
+    if (!name.trim()) {
+      throw new ApiError(400, "Playlist name cannot be empty");
+    }
+    playlist.name = name.trim();
+  }
+  if (description !== undefined) playlist.description = description.trim();
+  if (isPublic !== undefined) playlist.isPublic = Boolean(isPublic);
+
+  await playlist.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Playlist updated successfully"));
+});
+
+const deletePlaylist = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user);
+  await playlist.deleteOne();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Playlist deleted successfully"));
+});
+
+const addVideoToPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user);
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findVisibleById(videoId, req.user._id);
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  if (playlist.videos.some((id) => id.equals(video._id))) {
+    throw new ApiError(409, "Video is already in the playlist");
+  }
+
+  playlist.videos.push(video._id);
+  await playlist.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Video added to playlist"));
+});
+
+const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user);
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  if (!playlist.videos.some((id) => id.equals(videoId))) {
+    throw new ApiError(404, "Video is not in the playlist");
+  }
+
+  playlist.videos.pull(videoId);
+  await playlist.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Video removed from playlist"));
+});
+
+/**
+ * @description Moves a video of the playlist to a new position
+ * @function moveVideoInPlaylist
+ * @param {Object} req - Express request object with playlistId / videoId params and position (0 based) in body
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the reordered playlist
+ *
+ * position is an index of the videos the owner sees (see lookupVideosInOrder),
+ * deleted and hidden videos stay where they are in the stored list
+ */
+const moveVideoInPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+  const position = Number(req.body.position);
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user);
+
+  const playableIds = await Video.find({
+    _id: { $in: playlist.videos },
+    $or: [{ isPublished: true }, { owner: req.user._id }],
+  }).distinct("_id");
+  const isPlayable = (id) =>
+    playableIds.some((playable) => playable.equals(id));
+
+  const moved = playlist.videos.find((id) => id.equals(videoId));
+  if (!moved || !isPlayable(moved)) {
+    throw new ApiError(404, "Video is not in the playlist");
+  }
+
+  const videos = playlist.videos.filter((id) => !id.equals(moved));
+  const visible = videos.filter(isPlayable);
+
+  if (
+    !Number.isInteger(position) ||
+    position < 0 ||
+    position > visible.length
+  ) {
+    throw new ApiError(400, `Position must be between 0 and ${visible.length}`);
+  }
+
+  // goes right before the video that is shown at position now, or last
+  const insertAt =
+    position < visible.length
+      ? videos.findIndex((id) => id.equals(visible[position]))
+      : videos.length;
+  videos.splice(insertAt, 0, moved);
+  playlist.videos = videos;
+  await playlist.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Video moved successfully"));
+});
+
+export {
+  createPlaylist,
+  getUserPlaylists,
+  getPlaylistById,
+  updatePlaylist,
+  deletePlaylist,
+  addVideoToPlaylist,
+  removeVideoFromPlaylist,
+  moveVideoInPlaylist,
+};
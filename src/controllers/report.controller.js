@@ -0,0 +1,341 @@
+import mongoose from "mongoose";
+import { Report } from "../models/report.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { User } from "../models/user.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { forceUnpublishVideo, setUserStatus } from "../utils/moderation.js";
+
+// Reports that still wait for a moderator decision
+const PENDING_STATUSES = ["open", "under_review"];
+
+// Loads the reported video, comment or user and returns the id of the account responsible for it
+// Users can only report what they are able to see
+const findReportTargetOwner = async (targetType, targetId, user) => {
+  if (targetType === "video") {
+    const video = await Video.findVisibleById(targetId, user._id);
+    if (!video) throw new ApiError(404, "Video not found");
+    return video.owner;
+  }
+
+  if (targetType === "comment") {
+    const comment = await Comment.findById(targetId).select("owner");
+    if (!comment) throw new ApiError(404, "Comment not found");
+    return comment.owner;
+  }
+
+  const reportedUser = await User.findById(targetId).select("_id");
+  if (!reportedUser) throw new ApiError(404, "User not found");
+  return reportedUser._id;
+};
+
+// Matches the pending reports of one target
+const pendingReportsOf = (targetType, targetId) => ({
+  targetType,
+  target: new mongoose.Types.ObjectId(targetId),
+  status: { $in: PENDING_STATUSES },
+});
+
+/**
+ * @description Reports a video, comment or user to the moderators
+ * @function createReport
+ * @param {Object} req - Express request object with targetType / targetId / reason / details in body
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the created report
+ *
+ * A user can report each target only once (409 on a second report)
+ */
+const createReport = asyncHandler(async (req, res) => {
+  const { targetType, targetId, reason, details } = req.body;
+
+  if (targetType === "user" && req.user._id.equals(targetId)) {
+    throw new ApiError(400, "You cannot report yourself");
+  }
+
+  const targetOwner = await findReportTargetOwner(
+    targetType,
+    targetId,
+    req.user
+  );
+
+  if (targetOwner?.equals(req.user._id)) {
+    throw new ApiError(400, "You cannot report your own content");
+  }
+
+  try {
+    const report = await Report.create({
+      reporter: req.user._id,
+      targetType,
+      target: targetId,
+      targetOwner,
+      reason,
+      details: details || "",
+    });
+
+    return res
+      .status(201)
+      .json(new ApiResponse(201, report, "Report submitted successfully"));
+  } catch (error) {
+    // unique index { targetType, target, reporter }
+    if (error?.code === 11000) {
+      throw new ApiError(409, `You have already reported this ${targetType}`);
+    }
+    throw error;
+  }
+});
+
+/**
+ * @description Moderation queue, one entry per reported target
+ * @function getReportQueue
+ * @param {Object} req - Express request object with page / limit / status / targetType / reason query
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with paginated targets, most reported first
+ *
+ * Each entry has the number of reports, a count per reason, the last report date
+ * and a short summary of the reported video, comment or user
+ */
+const getReportQueue = asyncHandler(async (req, res) => {
+  const { status, targetType, reason } = req.validatedQuery;
+
+  const match = { status: status || { $in: PENDING_STATUSES } };
+  if (targetType) match.targetType = targetType;
+  if (reason) match.reason = reason;
+
+  const pipeline = Report.aggregate([
+    {
+      $match: match,
+    },
+    {
+      $group: {
+        _id: { targetType: "$targetType", target: "$target" },
+        targetOwner: { $first: "$targetOwner" },
+        reportsCount: { $sum: 1 },
+        reasons: { $push: "$reason" },
+        statuses: { $addToSet: "$status" },
+        firstReportedAt: { $min: "$createdAt" },
+        lastReportedAt: { $max: "$createdAt" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        targetType: "$_id.targetType",
+        target: "$_id.target",
+        targetOwner: 1,
+        reportsCount: 1,
+        statuses: 1,
+        firstReportedAt: 1,
+        lastReportedAt: 1,
+        // ["spam", "spam", "other"] -> { spam: 2, other: 1 }
+        reasons: {
+          $arrayToObject: {
+            $map: {
+              input: { $setUnion: ["$reasons"] },
+              as: "reason",
+              in: {
+                k: "$$reason",
+                v: {
+                  $size: {
+                    $filter: {
+                      input: "$reasons",
+                      cond: { $eq: ["$$this", "$$reason"] },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    // ids are unique across collections, so at most one lookup finds the target
+    {
+      $lookup: {
+        from: "videos",
+        localField: "target",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [{ $project: { title: 1, thumbnail: 1, isPublished: 1 } }],
+      },
+    },
+    {
+      $lookup: {
+        from: "comments",
+        localField: "target",
+        foreignField: "_id",
+        as: "comment",
+        pipeline: [{ $project: { content: 1, video: 1 } }],
+      },
+    },
+    {
+      $lookup: {
+        from: "users",
+        localField: "targetOwner",
+        foreignField: "_id",
+        as: "targetOwner",
+        pipeline: [
+          {
+            $project: {
+              username: 1,
+              fullName: 1,
+              avatar: 1,
+              status: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        targetOwner: { $first: "$targetOwner" },
+        // null when the video or comment was deleted since it was reported
+        targetDetails: {
+          $switch: {
+            branches: [
+              {
+                case: { $eq: ["$targetType", "video"] },
+                then: { $first: "$video" },
+              },
+              {
+                case: { $eq: ["$targetType", "comment"] },
+                then: { $first: "$comment" },
+              },
+            ],
+            default: null,
+          },
+        },
+      },
+    },
+    {
+      $project: {
+        video: 0,
+        comment: 0,
+      },
+    },
+  ]);
+
+  const queue = await Report.aggregatePaginate(pipeline, {
+    ...getPaginationOptions(req.validatedQuery),
+    sort: { reportsCount: -1, lastReportedAt: -1, target: 1 },
+    customLabels: {
+      docs: "targets",
+    },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, queue, "Report queue fetched successfully"));
+});
+
+// Lists every report of one target, newest first, with their reporters
+const getTargetReports = asyncHandler(async (req, res) => {
+  const { targetType, targetId } = req.params;
+
+  const reports = await Report.find({ targetType, target: targetId })
+    .sort({ createdAt: -1 })
+    .populate("reporter", "username fullName avatar")
+    .populate("reviewedBy", "username fullName");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, reports, "Reports fetched successfully"));
+});
+
+// Marks the open reports of a target as picked up by the current moderator
+const reviewTargetReports = asyncHandler(async (req, res) => {
+  const { targetType, targetId } = req.params;
+
+  const result = await Report.updateMany(
+    { targetType, target: targetId, status: "open" },
+    { $set: { status: "under_review", reviewedBy: req.user._id } }
+  );
+
+  if (!result.matchedCount) {
+    throw new ApiError(404, "No open reports for this target");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { reviewed: result.modifiedCount },
+        "Reports marked as under review"
+      )
+    );
+});
+
+/**
+ * @description Closes the pending reports of a target with a moderator decision
+ * @function resolveTargetReports
+ * @param {Object} req - Express request object with targetType / targetId params and action / note / durationHours in body
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the number of closed reports
+ *
+ * Steps:
+ * 1. dismiss: nothing happens to the target
+ * 2. unpublish_video: the reported video is force-unpublished (video reports only)
+ * 3. suspend_owner: the account responsible for the target is suspended
+ * 4. Every pending report of the target is closed with the moderator, action and note
+ */
+const resolveTargetReports = asyncHandler(async (req, res) => {
+  const { targetType, targetId } = req.params;
+  const { action, note, durationHours } = req.body;
+
+  const pending = pendingReportsOf(targetType, targetId);
+  const report = await Report.findOne(pending).select("targetOwner");
+  if (!report) {
+    throw new ApiError(404, "No pending reports for this target");
+  }
+
+  let result = null;
+
+  if (action === "unpublish_video") {
+    if (targetType !== "video") {
+      throw new ApiError(400, "Only reported videos can be unpublished");
+    }
+    result = await forceUnpublishVideo(req.user, targetId, note);
+    if (!result) {
+      throw new ApiError(404, "Video not found");
+    }
+  }
+
+  if (action === "suspend_owner") {
+    result = await setUserStatus(req.user, report.targetOwner, {
+      status: "suspended",
+      reason: note,
+      durationHours,
+    });
+  }
+
+  const { modifiedCount } = await Report.updateMany(pending, {
+    $set: {
+      status: action === "dismiss" ? "dismissed" : "actioned",
+      reviewedBy: req.user._id,
+      action,
+      resolutionNote: note,
+      resolvedAt: new Date(),
+    },
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { resolved: modifiedCount, action, target: result },
+        "Reports resolved successfully"
+      )
+    );
+});
+
+export {
+  createReport,
+  getReportQueue,
+  getTargetReports,
+  reviewTargetReports,
+  resolveTargetReports,
+};
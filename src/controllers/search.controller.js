@@ -0,0 +1,323 @@
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { lookupUserSummary } from "../utils/aggregations.js";
+import {
+  escapeRegex,
+  getSearchTerms,
+  typoTolerantPattern,
+} from "../utils/search.js";
+import { SEARCH_DURATION_BUCKETS } from "../constants.js";
+
+// How each result type is searched
+// match: what may be found at all, fuzzyFields: fields of the typo tolerant
+// fallback, stages: shape of a result (run on the best hits only)
+const SEARCHABLE = {
+  video: {
+    model: Video,
+    match: { isPublished: true },
+    fuzzyFields: ["title"],
+    stages: [
+      {
+        $project: {
+          title: 1,
+          description: 1,
+          thumbnail: 1,
+          duration: 1,
+          views: 1,
+          owner: 1,
+          createdAt: 1,
+          score: 1,
+        },
+      },
+      ...lookupUserSummary("owner"),
+    ],
+  },
+  channel: {
+    model: User,
+    match: { status: { $ne: "banned" } },
+    fuzzyFields: ["username", "fullName"],
+    stages: [
+      {
+        $lookup: {
+          from: "subscriptions",
+          localField: "_id",
+          foreignField: "channel",
+          as: "subscribers",
+          pipeline: [{ $count: "count" }],
+        },
+      },
+      {
+        $project: {
+          username: 1,
+          fullName: 1,
+          avatar: 1,
+          score: 1,
+          subscribersCount: {
+            $ifNull: [{ $first: "$subscribers.count" }, 0],
+          },
+        },
+      },
+    ],
+  },
+  playlist: {
+    model: Playlist,
+    match: { isPublic: true },
+    fuzzyFields: ["name"],
+    stages: [
+      {
+        $project: {
+          name: 1,
+          description: 1,
+          owner: 1,
+          createdAt: 1,
+          score: 1,
+          videosCount: { $size: "$videos" },
+        },
+      },
+      ...lookupUserSummary("owner"),
+    ],
+  },
+};
+
+// Best hits of one type for the Mongo text index
+const textSearch = (type, q, { match, sort, limit }) =>
+  SEARCHABLE[type].model.aggregate([
+    { $match: { $text: { $search: q }, ...match } },
+    { $addFields: { score: { $meta: "textScore" } } },
+    { $sort: sort },
+    { $limit: limit },
+    ...SEARCHABLE[type].stages,
+    { $addFields: { type } },
+  ]);
+
+// Best hits of one type when the text index found nothing, e.g. for a typo
+// The score is the share of the query terms found (0 - 1)
+const fuzzySearch = (type, terms, { match, sort, limit }) => {
+  const { model, fuzzyFields, stages } = SEARCHABLE[type];
+  const patterns = terms.map(typoTolerantPattern);
+
+  return model.aggregate([
+    {
+      $match: {
+        ...match,
+        $or: fuzzyFields.flatMap((field) =>
+          patterns.map((pattern) => ({ [field]: new RegExp(pattern, "i") }))
+        ),
+      },
+    },
+    {
+      $addFields: {
+        score: {
+          $divide: [
+            {
+              $add: patterns.map((pattern) => ({
+                $cond: [
+                  {
+                    $or: fuzzyFields.map((field) => ({
+                      $regexMatch: {
+                        input: { $ifNull: [`$${field}`, ""] },
+                        regex: pattern,
+                        options: "i",
+                      },
+                    })),
+                  },
+                  1,
+                  0,
+                ],
+              })),
+            },
+            patterns.length,
+          ],
+        },
+      },
+    },
+    { $sort: sort },
+    { $limit: limit },
+    ...stages,
+    { $addFields: { type } },
+  ]);
+};
+
+/**
+ * @description Searches videos, channels and playlists
+ * @function search
+ * @param {Object} req - Express request object with q and filter query params
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with { results, page, limit, hasNextPage, isFuzzy }
+ *
+ * Query params:
+ * - q: the search text
+ * - type: all | video | channel | playlist (default all, results of every type blended by score)
+ * - from, to: upload date range of videos
+ * - duration: short (< 4 min) | medium (4 - 20 min) | long (> 20 min)
+ * - sortBy: relevance | views (default relevance)
+ * - page, limit: pagination (limit capped at 50, at most 10 pages)
+ *
+ * Steps:
+ * 1. Date range, duration and views sort only make sense for videos,
+ *    with type "all" they restrict the search to videos
+ * 2. Each type is searched in its text index, only public content is found
+ *    (published videos, public playlists, channels that are not banned)
+ * 3. The hits are blended and the requested page is cut out
+ * 4. When the text indexes found nothing at all, the search is run again
+ *    tolerating one typo per word (isFuzzy: true)
+ *
+ * Each result has a type ("video", "channel" or "playlist") and a score
+ */
+const search = asyncHandler(async (req, res) => {
+  const {
+    q,
+    type = "all",
+    from,
+    to,
+    duration,
+    sortBy = "relevance",
+    page = 1,
+    limit = 20,
+  } = req.validatedQuery;
+
+  const videosOnly = !!(from || to || duration || sortBy === "views");
+  if (videosOnly && !["all", "video"].includes(type)) {
+    throw new ApiError(
+      400,
+      "Upload date, duration and views sort only apply to videos"
+    );
+  }
+
+  const types =
+    type === "all" && !videosOnly ? Object.keys(SEARCHABLE) : ["video"];
+
+  const videoMatch = {};
+  if (from || to) {
+    videoMatch.createdAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to }),
+    };
+  }
+  if (duration) {
+    const [min, max] = SEARCH_DURATION_BUCKETS[duration];
+    videoMatch.duration = {
+      $gte: min,
+      ...(Number.isFinite(max) && { $lt: max }),
+    };
+  }
+
+  const sort =
+    sortBy === "views" ? { views: -1, _id: 1 } : { score: -1, _id: 1 };
+  // every result up to the requested page, one extra tells about a next page
+  const searchOptions = (searchType) => ({
+    match: {
+      ...SEARCHABLE[searchType].match,
+      ...(searchType === "video" && videoMatch),
+    },
+    sort,
+    limit: page * limit + 1,
+  });
+
+  let isFuzzy = false;
+  let hits = (
+    await Promise.all(
+      types.map((searchType) =>
+        textSearch(searchType, q, searchOptions(searchType))
+      )
+    )
+  ).flat();
+
+  const terms = getSearchTerms(q);
+  if (!hits.length && terms.length) {
+    isFuzzy = true;
+    hits = (
+      await Promise.all(
+        types.map((searchType) =>
+          fuzzySearch(searchType, terms, searchOptions(searchType))
+        )
+      )
+    ).flat();
+  }
+
+  const sortField = sortBy === "views" ? "views" : "score";
+  hits.sort(
+    (a, b) =>
+      b[sortField] - a[sortField] || String(a._id).localeCompare(String(b._id))
+  );
+
+  const results = hits.slice((page - 1) * limit, page * limit);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        results,
+        page,
+        limit,
+        hasNextPage: hits.length > page * limit,
+        isFuzzy,
+      },
+      "Search results fetched successfully"
+    )
+  );
+});
+
+/**
+ * @description Autocomplete for the search box
+ * @function getSearchSuggestions
+ * @param {Object} req - Express request object with q (the typed prefix) and limit query
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with [{ type, _id, text }], channels first
+ *
+ * Channels whose username or name starts with the prefix, then published
+ * videos with a title word starting with it, most viewed first
+ */
+const getSearchSuggestions = asyncHandler(async (req, res) => {
+  const { q, limit = 10 } = req.validatedQuery;
+  const prefix = escapeRegex(q);
+  const wordPrefix = new RegExp(`(?:^|\\s)${prefix}`, "i");
+
+  const channels = await User.find({
+    status: { $ne: "banned" },
+    // usernames are stored lowercase, an anchored case sensitive prefix uses the index
+    $or: [
+      { username: new RegExp(`^${escapeRegex(q.toLowerCase())}`) },
+      { fullName: wordPrefix },
+    ],
+  })
+    .select("username fullName avatar")
+    .sort({ username: 1 })
+    .limit(Math.ceil(limit / 3));
+
+  // limit(0) would mean no limit at all
+  const videoLimit = limit - channels.length;
+  const videos = videoLimit
+    ? await Video.find({ isPublished: true, title: wordPrefix })
+        .select("title")
+        .sort({ views: -1, _id: 1 })
+        .limit(videoLimit)
+    : [];
+
+  const suggestions = [
+    ...channels.map((channel) => ({
+      type: "channel",
+      _id: channel._id,
+      text: channel.username,
+      fullName: channel.fullName,
+      avatar: channel.avatar,
+    })),
+    ...videos.map((video) => ({
+      type: "video",
+      _id: video._id,
+      text: video.title,
+    })),
+  ];
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, suggestions, "Suggestions fetched successfully")
+    );
+});
+
+export { search, getSearchSuggestions };
@@ -0,0 +1,178 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { User } from "../models/user.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { Unsubscription } from "../models/unsubscription.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { lookupUserSummary } from "../utils/aggregations.js";
+import { getEventBus } from "../utils/eventBus/index.js";
+
+/**
+ * @description Subscribes the current user to a channel, or unsubscribes if already subscribed
+ * @function toggleSubscription
+ * @param {Object} req - Express request object with channelId param
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the new subscription state
+ *
+ * Steps:
+ * 1. Validate channel id and reject subscribing to yourself
+ * 2. Check that the channel exists
+ * 3. Remove the subscription if it exists, otherwise create it
+ * 4. Removed subscriptions are logged for the creator dashboard (subscribers lost),
+ *    new ones notify the channel owner
+ */
+const toggleSubscription = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  if (!isValidObjectId(channelId)) {
+    throw new ApiError(400, "Invalid channel id");
+  }
+
+  if (channelId === req.user._id.toString()) {
+    throw new ApiError(400, "You cannot subscribe to your own channel");
+  }
+
+  const channel = await User.exists({ _id: channelId });
+  if (!channel) {
+    throw new ApiError(404, "Channel not found");
+  }
+
+  const existingSubscription = await Subscription.findOneAndDelete({
+    subscriber: req.user._id,
+    channel: channelId,
+  });
+
+  if (existingSubscription) {
+    await Unsubscription.create({
+      subscriber: existingSubscription.subscriber,
+      channel: existingSubscription.channel,
+      subscribedAt: existingSubscription.createdAt,
+    });
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { isSubscribed: false },
+          "Unsubscribed successfully"
+        )
+      );
+  }
+
+  try {
+    await Subscription.create({
+      subscriber: req.user._id,
+      channel: channelId,
+    });
+  } catch (error) {
+    // 11000 - duplicate key, another request subscribed in the meantime
+    if (error?.code === 11000) {
+      throw new ApiError(409, "Already subscribed to this channel");
+    }
+    throw error;
+  }
+
+  await getEventBus().publish("subscription.created", {
+    subscriber: req.user._id,
+    channel: channel._id,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { isSubscribed: true }, "Subscribed successfully")
+    );
+});
+
+/**
+ * @description Lists the subscribers of a channel
+ * @function getUserChannelSubscribers
+ * @param {Object} req - Express request object with channelId param and page / limit query
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with paginated subscribers
+ */
+const getUserChannelSubscribers = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  if (!isValidObjectId(channelId)) {
+    throw new ApiError(400, "Invalid channel id");
+  }
+
+  const pipeline = Subscription.aggregate([
+    {
+      $match: {
+        channel: new mongoose.Types.ObjectId(channelId),
+      },
+    },
+    ...lookupUserSummary("subscriber"),
+    {
+      $project: {
+        subscriber: 1,
+        createdAt: 1,
+      },
+    },
+  ]);
+
+  const subscribers = await Subscription.aggregatePaginate(pipeline, {
+    ...getPaginationOptions(req.validatedQuery),
+    sort: { createdAt: -1 },
+    customLabels: {
+      docs: "subscribers",
+    },
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, subscribers, "Subscribers fetched successfully")
+    );
+});
+
+/**
+ * @description Lists the channels a user has subscribed to
+ * @function getSubscribedChannels
+ * @param {Object} req - Express request object with subscriberId param and page / limit query
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with paginated channels
+ */
+const getSubscribedChannels = asyncHandler(async (req, res) => {
+  const { subscriberId } = req.params;
+
+  if (!isValidObjectId(subscriberId)) {
+    throw new ApiError(400, "Invalid subscriber id");
+  }
+
+  const pipeline = Subscription.aggregate([
+    {
+      $match: {
+        subscriber: new mongoose.Types.ObjectId(subscriberId),
+      },
+    },
+    ...lookupUserSummary("channel"),
+    {
+      $project: {
+        channel: 1,
+        createdAt: 1,
+      },
+    },
+  ]);
+
+  const channels = await Subscription.aggregatePaginate(pipeline, {
+    ...getPaginationOptions(req.validatedQuery),
+    sort: { createdAt: -1 },
+    customLabels: {
+      docs: "channels",
+    },
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, channels, "Subscribed channels fetched successfully")
+    );
+});
+
+export { toggleSubscription, getUserChannelSubscribers, getSubscribedChannels };
@@ -0,0 +1,137 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Tweet } from "../models/tweet.model.js";
+import { Like } from "../models/like.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { assertOwner } from "../utils/ownership.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { lookupLikes, lookupUserSummary } from "../utils/aggregations.js";
+
+// Loads a tweet and makes sure the current user wrote it
+const findOwnedTweet = async (tweetId, user) => {
+  if (!isValidObjectId(tweetId)) {
+    throw new ApiError(400, "Invalid tweet id");
+  }
+
+  const tweet = await Tweet.findById(tweetId);
+  if (!tweet) {
+    throw new ApiError(404, "Tweet not found");
+  }
+
+  assertOwner(tweet, user, {
+    message: "You are not allowed to modify this tweet",
+  });
+
+  return tweet;
+};
+
+// Runs a paginated, newest first tweet listing for the given $match
+const paginateTweets = (match, req) => {
+  const pipeline = Tweet.aggregate([
+    {
+      $match: match,
+    },
+    ...lookupUserSummary("owner"),
+    ...lookupLikes("tweet", req.user?._id),
+  ]);
+
+  return Tweet.aggregatePaginate(pipeline, {
+    ...getPaginationOptions(req.validatedQuery),
+    sort: { createdAt: -1, _id: -1 },
+    customLabels: {
+      docs: "tweets",
+    },
+  });
+};
+
+const createTweet = asyncHandler(async (req, res) => {
+  const { content } = req.body;
+
+  if (!content?.trim()) {
+    throw new ApiError(400, "Tweet content is required");
+  }
+
+  const tweet = await Tweet.create({
+    content: content.trim(),
+    owner: req.user._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, tweet, "Tweet created successfully"));
+});
+
+const getUserTweets = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  const tweets = await paginateTweets(
+    { owner: new mongoose.Types.ObjectId(userId) },
+    req
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, tweets, "Tweets fetched successfully"));
+});
+
+/**
+ * @description Feed of tweets from the channels the current user subscribed to
+ * @function getSubscribedTweetsFeed
+ * @param {Object} req - Express request object with page / limit query
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with paginated tweets, newest first
+ */
+const getSubscribedTweetsFeed = asyncHandler(async (req, res) => {
+  const channelIds = await Subscription.find({
+    subscriber: req.user._id,
+  }).distinct("channel");
+
+  const tweets = await paginateTweets({ owner: { $in: channelIds } }, req);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, tweets, "Tweet feed fetched successfully"));
+});
+
+const updateTweet = asyncHandler(async (req, res) => {
+  const { tweetId } = req.params;
+  const { content } = req.body;
+
+  if (!content?.trim()) {
+    throw new ApiError(400, "Tweet content is required");
+  }
+
+  const tweet = await findOwnedTweet(tweetId, req.user);
+  tweet.content = content.trim();
+  await tweet.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, tweet, "Tweet updated successfully"));
+});
+
+const deleteTweet = asyncHandler(async (req, res) => {
+  const { tweetId } = req.params;
+
+  const tweet = await findOwnedTweet(tweetId, req.user);
+  await tweet.deleteOne();
+  await Like.deleteMany({ tweet: tweet._id });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Tweet deleted successfully"));
+});
+
+export {
+  createTweet,
+  getUserTweets,
+  getSubscribedTweetsFeed,
+  updateTweet,
+  deleteTweet,
+};
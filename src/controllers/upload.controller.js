@@ -0,0 +1,347 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { uploadFile } from "../utils/storage/index.js";
+import { detectFileType, readHeader } from "../utils/fileType.js";
+import {
+  MAX_CONCURRENT_UPLOADS,
+  MAX_UPLOAD_CHUNK_SIZE,
+  MAX_UPLOAD_SIZE,
+  UPLOAD_SESSION_EXPIRY_MS,
+} from "../constants.js";
+
+// How long a chunk or finalize request may hold the lock of a session
+// A crashed request releases it after this time
+const UPLOAD_LOCK_MS = 10 * 60 * 1000;
+
+// Content types accepted for chunks, express.json / urlencoded leave them unparsed
+// so the body can be streamed to disk
+const CHUNK_CONTENT_TYPES = [
+  "application/offset+octet-stream",
+  "application/octet-stream",
+];
+
+const newExpiry = () => new Date(Date.now() + UPLOAD_SESSION_EXPIRY_MS);
+
+// Fields of a session sent to the client
+const toUploadResponse = (session) => ({
+  _id: session._id,
+  fileName: session.fileName,
+  size: session.size,
+  offset: session.offset,
+  status: session.status,
+  expiresAt: session.expiresAt,
+  file: session.status === "completed" ? session.file : undefined,
+});
+
+// Locks a pending session for the current request
+// Explains with the right status why the session cannot be used otherwise
+const acquireUploadSession = async (uploadId, userId) => {
+  const session = await UploadSession.acquire(uploadId, userId, UPLOAD_LOCK_MS);
+  if (session) return session;
+
+  const existing = await UploadSession.findOne({
+    _id: uploadId,
+    owner: userId,
+  }).select("status");
+  if (!existing) {
+    throw new ApiError(404, "Upload not found");
+  }
+  if (existing.status !== "pending") {
+    throw new ApiError(409, "Upload is already finalized");
+  }
+  throw new ApiError(409, "Another request is writing to this upload");
+};
+
+// Lets the next request use the session, optionally saving other changes with it
+const releaseUploadSession = (session, changes = {}) =>
+  UploadSession.updateOne(
+    { _id: session._id },
+    { $set: { ...changes, lockedUntil: null } }
+  );
+
+// sha256 (hex) of a file on disk, read as a stream so big files are fine
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest("hex");
+};
+
+/**
+ * @description Starts a resumable upload
+ * @function createUpload
+ * @param {Object} req - Express request object with fileName / size / checksum (optional sha256 hex) in body
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the upload session, its url is in the Location header
+ *
+ * A user can only have MAX_CONCURRENT_UPLOADS unfinished uploads at a time (429)
+ */
+const createUpload = asyncHandler(async (req, res) => {
+  const { fileName, size, checksum } = req.body;
+
+  if (size > MAX_UPLOAD_SIZE) {
+    throw new ApiError(413, `File must be at most ${MAX_UPLOAD_SIZE} bytes`);
+  }
+
+  const pendingUploads = await UploadSession.countDocuments({
+    owner: req.user._id,
+    status: "pending",
+    expiresAt: { $gt: new Date() },
+  });
+  if (pendingUploads >= MAX_CONCURRENT_UPLOADS) {
+    throw new ApiError(
+      429,
+      `You can only have ${MAX_CONCURRENT_UPLOADS} unfinished uploads at a time`
+    );
+  }
+
+  const session = new UploadSession({
+    owner: req.user._id,
+    fileName,
+    size,
+    checksum,
+    expiresAt: newExpiry(),
+  });
+
+  // chunks are written in place (at their offset), so the file must exist first
+  const tempPath = session.getTempPath();
+  await fs.promises.mkdir(path.dirname(tempPath), { recursive: true });
+  await fs.promises.writeFile(tempPath, "");
+  await session.save();
+
+  return res
+    .status(201)
+    .location(`${req.baseUrl}/${session._id}`)
+    .json(
+      new ApiResponse(
+        201,
+        { ...toUploadResponse(session), maxChunkSize: MAX_UPLOAD_CHUNK_SIZE },
+        "Upload created successfully"
+      )
+    );
+});
+
+// Reports the progress of an upload in headers only, used to resume after a dropped connection
+const getUploadProgress = asyncHandler(async (req, res) => {
+  const session = await UploadSession.findOne({
+    _id: req.params.uploadId,
+    owner: req.user._id,
+  });
+  if (!session) {
+    throw new ApiError(404, "Upload not found");
+  }
+
+  return res
+    .status(200)
+    .set({
+      "Upload-Offset": String(session.offset),
+      "Upload-Length": String(session.size),
+      "Cache-Control": "no-store",
+    })
+    .end();
+});
+
+const getUpload = asyncHandler(async (req, res) => {
+  const session = await UploadSession.findOne({
+    _id: req.params.uploadId,
+    owner: req.user._id,
+  });
+  if (!session) {
+    throw new ApiError(404, "Upload not found");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        toUploadResponse(session),
+        "Upload fetched successfully"
+      )
+    );
+});
+
+/**
+ * @description Appends a chunk to an upload
+ * @function uploadChunk
+ * @param {Object} req - Express request object with uploadId param, Upload-Offset header and the raw chunk as body
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the new offset, also sent in the Upload-Offset header
+ *
+ * Steps:
+ * 1. Lock the session, only one request writes to it at a time
+ * 2. Upload-Offset must match the bytes received so far (409 with the current offset otherwise)
+ * 3. Stream the body into the file at that offset, at most MAX_UPLOAD_CHUNK_SIZE bytes
+ * 4. Save the new offset, even when the connection dropped halfway:
+ *    the bytes that made it to disk are kept and the client resumes from there
+ */
+const uploadChunk = asyncHandler(async (req, res) => {
+  if (!req.is(CHUNK_CONTENT_TYPES)) {
+    throw new ApiError(
+      415,
+      `Chunks must be sent as ${CHUNK_CONTENT_TYPES.join(" or ")}`
+    );
+  }
+
+  const offset = Number(req.get("upload-offset"));
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ApiError(400, "Upload-Offset header must be a positive integer");
+  }
+
+  const session = await acquireUploadSession(req.params.uploadId, req.user._id);
+
+  if (offset !== session.offset) {
+    await releaseUploadSession(session);
+    res.set("Upload-Offset", String(session.offset));
+    throw new ApiError(
+      409,
+      `Upload-Offset does not match, the upload continues at ${session.offset}`
+    );
+  }
+
+  const maxBytes = Math.min(MAX_UPLOAD_CHUNK_SIZE, session.size - offset);
+  let receivedBytes = 0;
+  const limitSize = new Transform({
+    transform(chunk, _, callback) {
+      receivedBytes += chunk.length;
+      if (receivedBytes > maxBytes) {
+        return callback(
+          new ApiError(413, `Chunk must be at most ${maxBytes} bytes`)
+        );
+      }
+      callback(null, chunk);
+    },
+  });
+  const file = fs.createWriteStream(session.getTempPath(), {
+    flags: "r+",
+    start: offset,
+  });
+
+  try {
+    await pipeline(req, limitSize, file);
+  } finally {
+    session.offset = offset + file.bytesWritten;
+    await releaseUploadSession(session, {
+      offset: session.offset,
+      expiresAt: newExpiry(),
+    });
+  }
+
+  return res
+    .status(200)
+    .set("Upload-Offset", String(session.offset))
+    .json(
+      new ApiResponse(
+        200,
+        { offset: session.offset, size: session.size },
+        "Chunk uploaded successfully"
+      )
+    );
+});
+
+/**
+ * @description Completes an upload once every byte was received
+ * @function finalizeUpload
+ * @param {Object} req - Express request object with uploadId param and checksum (sha256 hex) in body when it was not given at creation
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the completed upload and its stored file
+ *
+ * A checksum mismatch discards the upload, the client has to start over
+ * The stored file can then be used, e.g. POST /videos with uploadId
+ */
+const finalizeUpload = asyncHandler(async (req, res) => {
+  const session = await acquireUploadSession(req.params.uploadId, req.user._id);
+  const tempPath = session.getTempPath();
+
+  if (session.offset !== session.size) {
+    await releaseUploadSession(session);
+    throw new ApiError(
+      409,
+      `Upload is incomplete, ${session.offset} of ${session.size} bytes received`
+    );
+  }
+
+  const expectedChecksum = session.checksum || req.body.checksum;
+  if (!expectedChecksum) {
+    await releaseUploadSession(session);
+    throw new ApiError(400, "checksum is required to finalize the upload");
+  }
+
+  if ((await hashFile(tempPath)) !== expectedChecksum) {
+    await fs.promises.rm(tempPath, { force: true });
+    await session.deleteOne();
+    throw new ApiError(
+      400,
+      "Checksum does not match, the upload was discarded"
+    );
+  }
+
+  // resumable uploads are meant for videos, the content decides, not the file name
+  const type = detectFileType(await readHeader(tempPath));
+  if (type?.kind !== "video") {
+    await fs.promises.rm(tempPath, { force: true });
+    await session.deleteOne();
+    throw new ApiError(
+      415,
+      "The uploaded file is not a supported video, the upload was discarded"
+    );
+  }
+
+  // the extension of the real type is what storage sees
+  const typedPath = path.join(
+    path.dirname(tempPath),
+    `${session._id}${type.extension}`
+  );
+  await fs.promises.rename(tempPath, typedPath);
+
+  // the storage driver removes the temp file
+  const file = await uploadFile(typedPath, { resourceType: "video" });
+  if (!file?.url) {
+    await session.deleteOne();
+    throw new ApiError(500, "Error while storing the uploaded file");
+  }
+
+  session.status = "completed";
+  session.file = file;
+  session.checksum = expectedChecksum;
+  session.lockedUntil = null;
+  session.expiresAt = newExpiry();
+  await session.save();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        toUploadResponse(session),
+        "Upload completed successfully"
+      )
+    );
+});
+
+// Cancels an unfinished upload and removes what was received
+const cancelUpload = asyncHandler(async (req, res) => {
+  const session = await acquireUploadSession(req.params.uploadId, req.user._id);
+
+  await fs.promises.rm(session.getTempPath(), { force: true });
+  await session.deleteOne();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Upload cancelled successfully"));
+});
+
+export {
+  createUpload,
+  getUploadProgress,
+  getUpload,
+  uploadChunk,
+  finalizeUpload,
+  cancelUpload,
+};
@@ -1,19 +1,91 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { User } from "../models/user.model.js";
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
+import { Session } from "../models/session.model.js";
+import { deleteFile, uploadFile } from "../utils/storage/index.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import jwt from "jsonwebtoken";
+import bcrypt from "bcrypt";
+import mongoose, { isValidObjectId } from "mongoose";
+import { lookupVideosInOrder } from "../utils/aggregations.js";
+import {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} from "../utils/mailer/index.js";
+import {
+  clearLoginFailures,
+  getLoginLockout,
+  recordLoginFailure,
+} from "../utils/loginThrottle.js";
+import { tooManyRequests } from "../middlewares/rateLimit.middleware.js";
+import {
+  EMAIL_VERIFICATION_EXPIRY_MS,
+  PASSWORD_RESET_EXPIRY_MS,
+} from "../constants.js";
+
+// Cookie options for security
+const cookieOptions = {
+  httpOnly: true, // Prevents client-side JavaScript from accessing the cookie
+  secure: true, // Cookie will only be sent over HTTPS
+};
+
+// Hash compared against when no user matches the login, so that unknown accounts
+// take as long to reject as wrong passwords and cannot be detected by timing
+let dummyPasswordHash;
+const getDummyPasswordHash = () => {
+  dummyPasswordHash ??= bcrypt.hash("not-a-real-password", 10);
+  return dummyPasswordHash;
+};
 
-const generateAccessAndRefreshTokens = async (userId) => {
+// Signs a new access / refresh token pair for a session (device) and rotates it:
+// only the hash of the new refresh token is kept, so the previous one stops working
+// @param {Object} user - User document
+// @param {Object} session - Session document the tokens belong to
+// @param {string} [previousRefreshToken] - token being rotated (refresh), the swap only
+//   happens while it is still the current one; otherwise it was already used and
+//   the session is revoked
+// @returns {Promise<{accessToken: string, refreshToken: string}>}
+const generateAccessAndRefreshTokens = async (
+  user,
+  session,
+  previousRefreshToken
+) => {
   try {
-    const user = await User.findById(userId);
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
+    const accessToken = user.generateAccessToken(session._id);
+    const refreshToken = user.generateRefreshToken(session._id);
+
+    // the session lives as long as its latest refresh token
+    // (10 days when REFRESH_TOKEN_EXPIRY is not set and the token never expires)
+    const { exp } = jwt.decode(refreshToken);
+    const update = {
+      refreshTokenHash: Session.hashToken(refreshToken),
+      expiresAt: exp
+        ? new Date(exp * 1000)
+        : new Date(Date.now() + 10 * 24 * 60 * 60 * 1000),
+      lastUsedAt: new Date(),
+    };
+
+    if (previousRefreshToken) {
+      const rotated = await Session.rotateRefreshToken(
+        session._id,
+        previousRefreshToken,
+        update
+      );
+      if (!rotated) {
+        await session.revoke("reuse-detected");
+        throw new ApiError(
+          401,
+          "Refresh Token was already used, the session has been revoked"
+        );
+      }
+    } else {
+      session.set(update);
+      await session.save();
+    }
+
     return { accessToken, refreshToken };
   } catch (error) {
+    if (error instanceof ApiError) throw error;
     throw new ApiError(
       500,
       "Something went wrong while generating access and refresh token"
@@ -21,6 +93,24 @@ const generateAccessAndRefreshTokens = async (userId) => {
   }
 };
 
+// Creates a new email verification token for the user and mails the link
+// Errors are logged and swallowed, they must not break the calling request
+const sendEmailVerification = async (user) => {
+  try {
+    const { unHashedToken, hashedToken, tokenExpiry } =
+      user.generateTemporaryToken(EMAIL_VERIFICATION_EXPIRY_MS);
+    user.emailVerificationToken = hashedToken;
+    user.emailVerificationExpiry = tokenExpiry;
+    await user.save({ validateBeforeSave: false });
+
+    await sendVerificationEmail(user, unHashedToken);
+    return true;
+  } catch (error) {
+    console.error("Could not send the verification email:", error);
+    return false;
+  }
+};
+
 /**
  * @description Handles user registration process
  * @function registerUser
@@ -34,7 +124,8 @@ const generateAccessAndRefreshTokens = async (userId) => {
  * 3. Check for existing user
  * 4. Handle avatar and cover image uploads
  * 5. Create new user in database
- * 6. Return sanitized user data
+ * 6. Send the email verification mail
+ * 7. Return sanitized user data
  */
 const registerUser = asyncHandler(async (req, res) => {
   // # Steps to register user
@@ -44,11 +135,13 @@ const registerUser = asyncHandler(async (req, res) => {
   const { fullName, username, email, password } = req.body;
 
   // 2. validation - not empty
+  // Format rules (email, username, password policy) run before this in the
+  // validate middleware (see validators/user.validator.js), this is a last safety net
   // Array.some() - JavaScript method to check if any element passes the test
   // trim() - Removes whitespace from both ends of a string
   if (
     [fullName, email, username, password].some((field) => {
-      return field?.trim() === "";
+      return !field?.trim();
     })
   ) {
     throw new ApiError(400, "All fields are required");
@@ -74,10 +167,12 @@ const registerUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Avatar file is required");
   }
 
-  // 5. upload them to cloudinary, avatar
-  // uploadOnCloudinary() - Custom utility function to upload files to Cloudinary
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+  // 5. upload them to storage (cloudinary or local disk, see STORAGE_DRIVER), avatar
+  // uploadFile() - Custom utility function that uploads through the configured storage driver
+  const avatar = await uploadFile(avatarLocalPath, { resourceType: "image" });
+  const coverImage = await uploadFile(coverImageLocalPath, {
+    resourceType: "image",
+  });
 
   if (!avatar) {
     throw new ApiError(400, "Avatar file is required");
@@ -105,7 +200,11 @@ const registerUser = asyncHandler(async (req, res) => {
     throw new ApiError(500, "Something went wrong while registering the user");
   }
 
-  // 9. return response else return error
+  // 9. send the email verification link
+  // a mail failure must not fail the registration, the user can ask for a new link
+  await sendEmailVerification(user);
+
+  // 10. return response else return error
   // ApiResponse - Custom response wrapper for consistent API responses
   return res
     .status(201)
@@ -123,9 +222,13 @@ const registerUser = asyncHandler(async (req, res) => {
  * 1. Extract credentials from request body
  * 2. Validate credentials
  * 3. Find user in database
- * 4. Verify password
- * 5. Generate tokens
- * 6. Set cookies and return response
+ * 4. Refuse locked accounts (429 with Retry-After)
+ * 5. Verify password, repeated failures lock the account (see utils/loginThrottle.js)
+ * 6. Generate tokens
+ * 7. Set cookies and return response
+ *
+ * Unknown users and wrong passwords get the same 401, so the response
+ * does not tell whether an account exists
  */
 const loginUser = asyncHandler(async (req, res) => {
   // req body -> data
@@ -140,21 +243,46 @@ const loginUser = asyncHandler(async (req, res) => {
   // User.findOne() - Mongoose method to find a single document matching the query
   // $or operator - MongoDB operator to match any of the conditions
   const user = await User.findOne({ $or: [{ username }, { email }] });
-  if (!user) {
-    throw new ApiError(404, "User does not exist");
+
+  const accountKey = user ? user._id.toString() : username || email;
+  const lockedForMs = await getLoginLockout(accountKey);
+  if (lockedForMs) {
+    throw tooManyRequests(
+      res,
+      lockedForMs,
+      "Too many failed login attempts, please try again later"
+    );
   }
 
   // password check
   // isPasswordCorrect() - Custom method defined in User model to compare passwords
-  const isPasswordValid = await user.isPasswordCorrect(password);
+  const isPasswordValid = user
+    ? await user.isPasswordCorrect(password)
+    : await bcrypt.compare(password, await getDummyPasswordHash());
   if (!isPasswordValid) {
+    await recordLoginFailure(accountKey);
     throw new ApiError(401, "Invalid user credentials");
   }
+  await clearLoginFailures(accountKey);
+
+  // suspended and banned accounts cannot start new sessions
+  if (user.isAccessBlocked()) {
+    throw new ApiError(403, `Your account has been ${user.status}`);
+  }
+
+  // start a new session for this device, other devices stay logged in
+  // req.ip / user-agent are shown in the list of active sessions
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get("user-agent") || "",
+    ip: req.ip || "",
+  });
 
   // generate access and refresh token
   // generateAccessAndRefreshTokens() - Helper function to create JWT tokens
   const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(
-    user._id
+    user,
+    session
   );
 
   // User.findById().select() - Mongoose method to find by ID and exclude specific fields
@@ -162,21 +290,15 @@ const loginUser = asyncHandler(async (req, res) => {
     "-password -refreshToken"
   );
 
-  // send cookies
-  // Cookie options for security
-  const options = {
-    httpOnly: true, // Prevents client-side JavaScript from accessing the cookie
-    secure: true, // Cookie will only be sent over HTTPS
-  };
-
+  // send cookies (see cookieOptions)
   // Return response with:
   // - Status code 200
   // - Set cookies for tokens
   // - JSON response with user data and tokens
   return res
     .status(200)
-    .cookie("accessToken", accessToken, options)
-    .cookie("refreshToken", refreshToken, options)
+    .cookie("accessToken", accessToken, cookieOptions)
+    .cookie("refreshToken", refreshToken, cookieOptions)
     .json(
       new ApiResponse(
         200,
@@ -190,71 +312,132 @@ const loginUser = asyncHandler(async (req, res) => {
     );
 });
 
+// Logs out the current device only, by revoking its session
 const logoutUser = asyncHandler(async (req, res) => {
-  await User.findByIdAndUpdate(
-    req.user._id,
-    {
-      $set: {
-        refreshToken: undefined,
-      },
-    },
-    {
-      new: true,
-    }
-  );
-
-  const options = {
-    httpOnly: true, // Prevents client-side JavaScript from accessing the cookie
-    secure: true, // Cookie will only be sent over HTTPS
-  };
+  await req.authSession.revoke("logout");
 
   return res
     .status(200)
-    .clearCookie("accessToken", options)
-    .clearCookie("refreshToken", options)
+    .clearCookie("accessToken", cookieOptions)
+    .clearCookie("refreshToken", cookieOptions)
     .json(new ApiResponse(200, {}, "User logged out successfully"));
 });
 
+/**
+ * @description Issues a new access token and rotates the refresh token
+ * @function refreshAccessToken
+ * @param {Object} req - Express request object with refreshToken cookie or body field
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the new token pair
+ *
+ * Steps:
+ * 1. Verify the refresh token and load its session
+ * 2. If the token is not the latest one of the session it was already used:
+ *    someone replayed an old (possibly stolen) token, so the whole session is revoked
+ * 3. Otherwise rotate: sign a new pair and store the hash of the new refresh token,
+ *    atomically, so two parallel requests with the same token cannot both rotate it
+ */
 const refreshAccessToken = asyncHandler(async (req, res) => {
   const incomingRefreshToken =
-    req.cookies.refreshAccessToken || req.body.refreshToken;
+    req.cookies?.refreshToken || req.body?.refreshToken;
   if (!incomingRefreshToken) {
     throw new ApiError(401, "Unauthorized access");
   }
-  try {
-    const decodedToken = jwt.verify(
-      incomingRefreshToken,
-      process.env.REFRESH_TOKEN_SECRET
+
+  // jwt errors (expired / malformed) are turned into 401 by the error middleware
+  const decodedToken = jwt.verify(
+    incomingRefreshToken,
+    process.env.REFRESH_TOKEN_SECRET
+  );
+
+  if (!decodedToken?.sid || !isValidObjectId(decodedToken.sid)) {
+    throw new ApiError(401, "Invalid Refresh Token");
+  }
+
+  const session = await Session.findActive(decodedToken.sid, decodedToken._id);
+  if (!session) {
+    throw new ApiError(401, "Session has expired or was revoked");
+  }
+
+  if (!session.isCurrentRefreshToken(incomingRefreshToken)) {
+    await session.revoke("reuse-detected");
+    throw new ApiError(
+      401,
+      "Refresh Token was already used, the session has been revoked"
     );
-    const user = await User.findById(decodedToken?._id);
-    if (!user) {
-      throw new ApiError(401, "Invalid Refresh Token");
-    }
+  }
 
-    if (incomingRefreshToken !== user?.refreshToken) {
-      throw new ApiError(401, "Refresh Token is expired or used");
-    }
+  const user = await User.findById(decodedToken._id);
+  if (!user) {
+    throw new ApiError(401, "Invalid Refresh Token");
+  }
 
-    const options = {
-      httpOnly: true,
-      secure: true,
-    };
-    const { accessToken, newRefreshToken } =
-      await generateAccessAndRefreshTokens(user._id);
-    return res
-      .status(200)
-      .cookie("AccessToken", accessToken, options)
-      .cookie("RefreshToken", newRefreshToken, options)
-      .json(
-        new ApiResponse(
-          200,
-          { accessToken, refreshToken: newRefreshToken },
-          "Access Token refreshed"
-        )
-      );
-  } catch (error) {
-    throw new ApiError(401, error?.message || "Invalid Refresh Token");
+  const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(
+    user,
+    session,
+    incomingRefreshToken
+  );
+
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, cookieOptions)
+    .cookie("refreshToken", refreshToken, cookieOptions)
+    .json(
+      new ApiResponse(
+        200,
+        { accessToken, refreshToken },
+        "Access Token refreshed"
+      )
+    );
+});
+
+// Lists the active sessions (devices) of the current user
+const getActiveSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  const currentSessionId = req.authSession._id.toString();
+  const result = sessions.map((session) => ({
+    ...session,
+    isCurrent: session._id.toString() === currentSessionId,
+  }));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Active sessions fetched successfully"));
+});
+
+// Revokes one session of the current user, e.g. a lost phone
+const revokeSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  const session = await Session.findActive(sessionId, req.user._id);
+  if (!session) {
+    throw new ApiError(404, "Session not found");
   }
+
+  await session.revoke("revoked");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Session revoked successfully"));
+});
+
+// Revokes every session of the current user, including this one
+const logoutAllSessions = asyncHandler(async (req, res) => {
+  await Session.revokeAllForUser(req.user._id, "logout-all");
+
+  return res
+    .status(200)
+    .clearCookie("accessToken", cookieOptions)
+    .clearCookie("refreshToken", cookieOptions)
+    .json(new ApiResponse(200, {}, "Logged out from all devices"));
 });
 
 const changeCurrentPassword = asyncHandler(async (req, res) => {
@@ -274,29 +457,43 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
 const getCurrentUser = asyncHandler(async (req, res) => {
   return res
     .status(200)
-    .json(200, req.user, "Current user fetched successfully");
+    .json(new ApiResponse(200, req.user, "Current user fetched successfully"));
 });
 
+// A new email has to be verified again: until then requireVerifiedEmail
+// refuses the user, and pending links sent to the old address stop working
 const updateAccountDetails = asyncHandler(async (req, res) => {
   const { fullName, email } = req.body;
   if (!fullName || !email) {
     throw new ApiError(400, "All fields are required");
   }
-  const user = User.findByIdAndUpdate(
-    req.user?._id,
-    {
-      $set: {
-        fullName, // fullName : fullName
-        email,
-      },
-    },
-    { new: true }
-  ).select("-password");
 
-  return (
-    res.status(200),
-    json(new ApiResponse(200, user, "Accound details updated sucessfully"))
+  const user = await User.findById(req.user._id);
+  const emailChanged = user.email !== email;
+
+  user.fullName = fullName;
+  if (emailChanged) {
+    user.email = email;
+    user.isEmailVerified = false;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpiry = undefined;
+    user.forgotPasswordToken = undefined;
+    user.forgotPasswordExpiry = undefined;
+  }
+  await user.save({ validateBeforeSave: false });
+
+  // same as registerUser, a mail failure does not fail the update
+  if (emailChanged) await sendEmailVerification(user);
+
+  const updatedUser = await User.findById(user._id).select(
+    "-password -refreshToken"
   );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, updatedUser, "Account details updated successfully")
+    );
 });
 
 const updateUserAvatar = asyncHandler(async (req, res) => {
@@ -304,8 +501,8 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
   if (!avatarLocalPath) {
     throw new ApiError(400, "Avatar file is missing");
   }
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
-  if (!avatar.url) {
+  const avatar = await uploadFile(avatarLocalPath, { resourceType: "image" });
+  if (!avatar?.url) {
     throw new ApiError(400, "Error while uploading on avatar");
   }
   const user = await User.findByIdAndUpdate(
@@ -316,7 +513,11 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
       },
     },
     { new: true }
-  ).select("password");
+  ).select("-password -refreshToken");
+
+  // remove the replaced avatar so it does not stay orphaned in storage
+  await deleteFile(req.user?.avatar);
+
   return res
     .status(200)
     .json(new ApiResponse(200, user, "Avatar Image updated successfully"));
@@ -327,9 +528,11 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
   if (!coverImageLocalPath) {
     throw new ApiError(400, "Cover Image file is missing");
   }
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath);
-  if (!coverImage.url) {
-    throw new ApiError(400, "Error while uploading on avatar");
+  const coverImage = await uploadFile(coverImageLocalPath, {
+    resourceType: "image",
+  });
+  if (!coverImage?.url) {
+    throw new ApiError(400, "Error while uploading on cover image");
   }
   const user = await User.findByIdAndUpdate(
     req.user?._id,
@@ -339,13 +542,397 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
       },
     },
     { new: true }
-  ).select("password");
+  ).select("-password -refreshToken");
+
+  // remove the replaced cover image so it does not stay orphaned in storage
+  await deleteFile(req.user?.coverImage);
 
   return res
     .status(200)
     .json(new ApiResponse(200, user, "Cover Image updated successfully"));
 });
 
+/**
+ * @description Builds the public channel page of a user
+ * @function getUserChannelProfile
+ * @param {Object} req - Express request object with username param (req.user is optional)
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with channel profile, subscriber counts and video stats
+ *
+ * Steps:
+ * 1. Match the user by username
+ * 2. Count subscribers and subscribed channels from subscriptions
+ * 3. Check if the requesting user is subscribed (false for anonymous callers)
+ * 4. Count published videos, their total views and the likes they received
+ * 5. Attach the channel playlists (private ones only for the channel owner)
+ */
+const getUserChannelProfile = asyncHandler(async (req, res) => {
+  const { username } = req.params;
+
+  if (!username?.trim()) {
+    throw new ApiError(400, "Username is missing");
+  }
+
+  // null never matches a subscriber, so anonymous callers get isSubscribed: false
+  const viewerId = req.user?._id || null;
+
+  const channel = await User.aggregate([
+    {
+      $match: {
+        username: username.trim().toLowerCase(),
+      },
+    },
+    {
+      $lookup: {
+        from: "subscriptions",
+        localField: "_id",
+        foreignField: "channel",
+        as: "subscribers",
+        pipeline: [{ $count: "count" }],
+      },
+    },
+    {
+      $lookup: {
+        from: "subscriptions",
+        localField: "_id",
+        foreignField: "subscriber",
+        as: "subscribedTo",
+        pipeline: [{ $count: "count" }],
+      },
+    },
+    {
+      $lookup: {
+        from: "subscriptions",
+        localField: "_id",
+        foreignField: "channel",
+        as: "viewerSubscription",
+        pipeline: [{ $match: { subscriber: viewerId } }, { $limit: 1 }],
+      },
+    },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "_id",
+        foreignField: "owner",
+        as: "videoStats",
+        pipeline: [
+          { $match: { isPublished: true } },
+          {
+            $lookup: {
+              from: "likes",
+              localField: "_id",
+              foreignField: "video",
+              as: "likes",
+              pipeline: [{ $count: "count" }],
+            },
+          },
+          {
+            $group: {
+              _id: null,
+              videosCount: { $sum: 1 },
+              totalViews: { $sum: "$views" },
+              likesCount: {
+                $sum: { $ifNull: [{ $first: "$likes.count" }, 0] },
+              },
+            },
+          },
+        ],
+      },
+    },
+    {
+      $lookup: {
+        from: "playlists",
+        localField: "_id",
+        foreignField: "owner",
+        as: "playlists",
+        pipeline: [
+          // private playlists are only shown to the channel owner
+          {
+            $match: {
+              $expr: {
+                $or: [
+                  { $eq: ["$isPublic", true] },
+                  { $eq: ["$owner", viewerId] },
+                ],
+              },
+            },
+          },
+          { $sort: { updatedAt: -1 } },
+          // only the videos the viewer can play are counted, like on the playlist page
+          {
+            $lookup: {
+              from: "videos",
+              localField: "videos",
+              foreignField: "_id",
+              as: "playableVideos",
+              pipeline: [
+                {
+                  $match: {
+                    $or: [{ isPublished: true }, { owner: viewerId }],
+                  },
+                },
+                { $count: "count" },
+              ],
+            },
+          },
+          {
+            $project: {
+              name: 1,
+              description: 1,
+              isPublic: 1,
+              videosCount: {
+                $ifNull: [{ $first: "$playableVideos.count" }, 0],
+              },
+              updatedAt: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        subscribersCount: {
+          $ifNull: [{ $first: "$subscribers.count" }, 0],
+        },
+        channelsSubscribedToCount: {
+          $ifNull: [{ $first: "$subscribedTo.count" }, 0],
+        },
+        isSubscribed: {
+          $gt: [{ $size: "$viewerSubscription" }, 0],
+        },
+        videosCount: {
+          $ifNull: [{ $first: "$videoStats.videosCount" }, 0],
+        },
+        totalViews: {
+          $ifNull: [{ $first: "$videoStats.totalViews" }, 0],
+        },
+        likesCount: {
+          $ifNull: [{ $first: "$videoStats.likesCount" }, 0],
+        },
+      },
+    },
+    {
+      $project: {
+        fullName: 1,
+        username: 1,
+        avatar: 1,
+        coverImage: 1,
+        subscribersCount: 1,
+        channelsSubscribedToCount: 1,
+        isSubscribed: 1,
+        videosCount: 1,
+        totalViews: 1,
+        likesCount: 1,
+        playlists: 1,
+        createdAt: 1,
+      },
+    },
+  ]);
+
+  if (!channel?.length) {
+    throw new ApiError(404, "Channel does not exist");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, channel[0], "User channel fetched successfully")
+    );
+});
+
+/**
+ * @description Returns the watch history of the current user, most recent first
+ * @function getWatchHistory
+ * @param {Object} req - Express request object (req.user set by verifyJWT)
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the watched videos and their owners
+ *
+ * Steps:
+ * 1. Match the current user
+ * 2. Lookup the videos in watchHistory (in order), with a nested lookup for each video owner
+ */
+const getWatchHistory = asyncHandler(async (req, res) => {
+  const user = await User.aggregate([
+    {
+      $match: {
+        _id: new mongoose.Types.ObjectId(req.user._id),
+      },
+    },
+    ...lookupVideosInOrder("watchHistory", req.user._id),
+    {
+      $project: {
+        watchHistory: 1,
+      },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        user[0]?.watchHistory || [],
+        "Watch history fetched successfully"
+      )
+    );
+});
+
+const removeFromWatchHistory = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  await User.updateOne(
+    { _id: req.user._id },
+    {
+      $pull: {
+        watchHistory: new mongoose.Types.ObjectId(videoId),
+      },
+    }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video removed from watch history"));
+});
+
+const clearWatchHistory = asyncHandler(async (req, res) => {
+  await User.updateOne(
+    { _id: req.user._id },
+    {
+      $set: {
+        watchHistory: [],
+      },
+    }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Watch history cleared successfully"));
+});
+
+// Marks the email of the user owning the token as verified
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { verificationToken } = req.params;
+
+  const user = await User.findOne({
+    emailVerificationToken: User.hashTemporaryToken(verificationToken),
+    emailVerificationExpiry: { $gt: new Date() },
+  });
+  if (!user) {
+    throw new ApiError(400, "Verification link is invalid or has expired");
+  }
+
+  // the token is single use
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpiry = undefined;
+  user.isEmailVerified = true;
+  await user.save({ validateBeforeSave: false });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isEmailVerified: true },
+        "Email verified successfully"
+      )
+    );
+});
+
+const resendEmailVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.isEmailVerified) {
+    throw new ApiError(409, "Email is already verified");
+  }
+
+  const sent = await sendEmailVerification(user);
+  if (!sent) {
+    throw new ApiError(500, "Could not send the verification email");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Verification email sent"));
+});
+
+/**
+ * @description Sends a password reset link to the given email
+ * @function forgotPasswordRequest
+ * @param {Object} req - Express request object with email in body
+ * @param {Object} res - Express response object
+ * @returns {Object} Same response whether the account exists or not,
+ * so the endpoint cannot be used to find out which emails are registered
+ */
+const forgotPasswordRequest = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  if (user) {
+    const { unHashedToken, hashedToken, tokenExpiry } =
+      user.generateTemporaryToken(PASSWORD_RESET_EXPIRY_MS);
+    user.forgotPasswordToken = hashedToken;
+    user.forgotPasswordExpiry = tokenExpiry;
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendPasswordResetEmail(user, unHashedToken);
+    } catch (error) {
+      console.error("Could not send the password reset email:", error);
+    }
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        "If an account exists for this email, a password reset link has been sent"
+      )
+    );
+});
+
+/**
+ * @description Sets a new password using a token from forgotPasswordRequest
+ * @function resetForgottenPassword
+ * @param {Object} req - Express request object with resetToken param and newPassword in body
+ * @param {Object} res - Express response object
+ * @returns {Object} Response confirming the reset
+ *
+ * Every session of the user is revoked, all devices have to log in again
+ */
+const resetForgottenPassword = asyncHandler(async (req, res) => {
+  const { resetToken } = req.params;
+  const { newPassword } = req.body;
+
+  const user = await User.findOne({
+    forgotPasswordToken: User.hashTemporaryToken(resetToken),
+    forgotPasswordExpiry: { $gt: new Date() },
+  });
+  if (!user) {
+    throw new ApiError(400, "Reset link is invalid or has expired");
+  }
+
+  // the token is single use
+  user.forgotPasswordToken = undefined;
+  user.forgotPasswordExpiry = undefined;
+  user.password = newPassword;
+  // the reset link was received by mail, which proves the email address
+  user.isEmailVerified = true;
+  await user.save({ validateBeforeSave: false });
+
+  await Session.revokeAllForUser(user._id, "password-reset");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Password reset successfully"));
+});
+
 export {
   registerUser,
   loginUser,
@@ -353,6 +940,18 @@ export {
   refreshAccessToken,
   changeCurrentPassword,
   getCurrentUser,
+  updateAccountDetails,
   updateUserAvatar,
   updateUserCoverImage,
+  getUserChannelProfile,
+  getWatchHistory,
+  removeFromWatchHistory,
+  clearWatchHistory,
+  getActiveSessions,
+  revokeSession,
+  logoutAllSessions,
+  verifyEmail,
+  resendEmailVerification,
+  forgotPasswordRequest,
+  resetForgottenPassword,
 };
@@ -0,0 +1,576 @@
+import fs from "fs";
+import { pipeline } from "stream/promises";
+import mongoose, { isValidObjectId } from "mongoose";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { ViewEvent } from "../models/viewEvent.model.js";
+import { ViewStat } from "../models/viewStat.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { deleteFile, uploadFile } from "../utils/storage/index.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { assertOwner } from "../utils/ownership.js";
+import { lookupLikes, lookupUserSummary } from "../utils/aggregations.js";
+import { recordVideoView } from "../utils/watchHistory.js";
+import { localDriver } from "../utils/storage/local.driver.js";
+import {
+  createStreamUrl,
+  getVideoMimeType,
+  isRangeStillValid,
+  verifyStreamToken,
+} from "../utils/videoStream.js";
+import { getViewerFingerprint, recordViewEvent } from "../utils/viewEvents.js";
+import { trendingVideosStages } from "../utils/feedRanking.js";
+import { escapeRegex } from "../utils/search.js";
+import { enqueueJob } from "../utils/jobQueue.js";
+import { removeStagedFiles, stageJobFile } from "../utils/jobFiles.js";
+import { TRENDING_WINDOWS } from "../constants.js";
+
+// Loads a video by id and makes sure the current user owns it
+// Used by every action that changes or removes a video
+const findOwnedVideo = async (videoId, user) => {
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findById(videoId);
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  assertOwner(video, user, {
+    message: "You are not allowed to modify this video",
+  });
+
+  return video;
+};
+
+// Videos can only be played or published once their processing job stored them
+const assertProcessed = (video) => {
+  if (video.processingStatus === "failed") {
+    throw new ApiError(
+      409,
+      `Video processing failed: ${video.processingError}`
+    );
+  }
+  if (video.processingStatus !== "ready") {
+    throw new ApiError(409, "Video is still being processed");
+  }
+};
+
+/**
+ * @description Lists published videos with pagination, sorting and filters
+ * @function getAllVideos
+ * @param {Object} req - Express request object with query params
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with paginated videos and page info
+ *
+ * Query params:
+ * - page, limit: pagination (defaults 1 and 10, limit capped at 50)
+ * - sortBy: createdAt | views | duration (default createdAt)
+ * - sortType: asc | desc (default desc)
+ * - owner: userId or username of the channel
+ * - query: text searched in title and description
+ */
+const getAllVideos = asyncHandler(async (req, res) => {
+  const {
+    sortBy = "createdAt",
+    sortType = "desc",
+    owner,
+    query,
+  } = req.validatedQuery;
+
+  const match = { isPublished: true };
+
+  // owner can be given either as an id or as a username
+  if (owner) {
+    if (isValidObjectId(owner)) {
+      match.owner = new mongoose.Types.ObjectId(owner);
+    } else {
+      const channel = await User.findOne({
+        username: owner.toLowerCase(),
+      }).select("_id");
+      if (!channel) {
+        throw new ApiError(404, "Channel not found");
+      }
+      match.owner = channel._id;
+    }
+  }
+
+  if (query) {
+    const pattern = new RegExp(escapeRegex(query), "i");
+    match.$or = [{ title: pattern }, { description: pattern }];
+  }
+
+  const pipeline = Video.aggregate([
+    {
+      $match: match,
+    },
+    ...lookupUserSummary("owner"),
+    ...lookupLikes("video", req.user?._id),
+  ]);
+
+  // aggregatePaginate() - added to the model by mongoose-aggregate-paginate-v2
+  // it runs the pipeline with skip/limit and a count in one go
+  const videos = await Video.aggregatePaginate(pipeline, {
+    ...getPaginationOptions(req.validatedQuery),
+    sort: { [sortBy]: sortType === "asc" ? 1 : -1, _id: 1 },
+    customLabels: {
+      docs: "videos",
+    },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Videos fetched successfully"));
+});
+
+/**
+ * @description Uploads a new video along with its thumbnail
+ * @function publishAVideo
+ * @param {Object} req - Express request object containing title, description, files and optionally uploadId
+ * @param {Object} res - Express response object
+ * @returns {Object} 202 response with the created video and its processing job
+ *
+ * Steps:
+ * 1. Validate title and description
+ * 2. Check that both video file (or the id of a finalized resumable upload) and thumbnail were uploaded
+ * 3. Create the video with the current user as owner, pending and unpublished
+ * 4. Hand the files to a processVideo job (jobs/processVideo.job.js), which stores them
+ *    and publishes the video; clients poll GET /api/v1/jobs/:jobId or the video's processingStatus
+ */
+const publishAVideo = asyncHandler(async (req, res) => {
+  const { title, description, uploadId } = req.body;
+
+  if ([title, description].some((field) => !field || field.trim() === "")) {
+    throw new ApiError(400, "Title and description are required");
+  }
+
+  const videoLocalPath = req.files?.videoFile?.[0]?.path;
+  const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path;
+
+  if (!videoLocalPath && !uploadId) {
+    throw new ApiError(400, "Video file or uploadId is required");
+  }
+  if (!thumbnailLocalPath) {
+    throw new ApiError(400, "Thumbnail is required");
+  }
+
+  // large videos are sent with a resumable upload first (see upload.controller.js)
+  // and referenced here by its id instead of being part of this request
+  let upload = null;
+  if (uploadId) {
+    upload = await UploadSession.findOne({
+      _id: uploadId,
+      owner: req.user._id,
+      status: "completed",
+    });
+    if (!upload) {
+      throw new ApiError(404, "Upload not found or not finalized");
+    }
+    if (upload.file.resourceType !== "video") {
+      throw new ApiError(400, "The uploaded file is not a video");
+    }
+  }
+
+  // the request's temp files have to outlive it
+  const videoPath = upload ? undefined : await stageJobFile(videoLocalPath);
+  const thumbnailPath = await stageJobFile(thumbnailLocalPath);
+
+  // a resumable upload is already stored, the job only stores the thumbnail then
+  const video = await Video.create({
+    title: title.trim(),
+    description: description.trim(),
+    videoFile: upload?.file.url,
+    duration: upload?.file.duration || 0,
+    owner: req.user._id,
+    isPublished: false,
+    processingStatus: "pending",
+  });
+
+  // the stored file now belongs to the video
+  await upload?.deleteOne();
+
+  let job;
+  try {
+    job = await enqueueJob(
+      "processVideo",
+      { videoId: video._id.toString(), videoPath, thumbnailPath },
+      { owner: req.user._id }
+    );
+  } catch (error) {
+    await video.deleteOne();
+    await deleteFile(video.videoFile);
+    await removeStagedFiles(videoPath, thumbnailPath);
+    throw error;
+  }
+
+  video.processingJob = job._id;
+  await video.save();
+
+  return res
+    .status(202)
+    .json(
+      new ApiResponse(
+        202,
+        { video, job: { _id: job._id, status: job.status } },
+        "Video is being processed"
+      )
+    );
+});
+
+/**
+ * @description Fetches a single video with its owner details
+ * @function getVideoById
+ * @param {Object} req - Express request object with videoId param
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the video
+ *
+ * Unpublished videos are only visible to their owner, everyone else gets a 404
+ * For logged in users the view is counted and added to their watch history
+ */
+const getVideoById = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.aggregate([
+    {
+      $match: {
+        _id: new mongoose.Types.ObjectId(videoId),
+      },
+    },
+    ...lookupUserSummary("owner"),
+    ...lookupLikes("video", req.user?._id),
+  ]);
+
+  const isOwner =
+    !!req.user && video[0]?.owner?._id?.toString() === req.user._id.toString();
+
+  if (!video.length || (!video[0].isPublished && !isOwner)) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  // an authenticated viewer other than the owner counts as a view (once per window)
+  // and the video goes to the front of their watch history
+  if (req.user) {
+    const counted = await recordVideoView(
+      video[0]._id,
+      req.user._id,
+      video[0].owner._id
+    );
+    if (counted) video[0].views += 1;
+  }
+
+  // locally stored videos are played through a signed stream url
+  if (localDriver.resolveFilePath(video[0].videoFile)) {
+    video[0].stream = createStreamUrl(video[0]._id, req.user?._id);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video[0], "Video fetched successfully"));
+});
+
+// Issues a new signed stream url, e.g. when the one from getVideoById expired
+const getVideoStreamUrl = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await Video.findVisibleById(videoId, req.user?._id);
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+  assertProcessed(video);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        createStreamUrl(video._id, req.user?._id),
+        "Stream url created successfully"
+      )
+    );
+});
+
+/**
+ * @description Records how long a video was watched, sent by the player during playback
+ * @function recordVideoWatch
+ * @param {Object} req - Express request object with videoId param and watchedSeconds in body
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with { recorded }
+ *
+ * Works for anonymous viewers too, they are told apart by a fingerprint
+ * Reports of the same playback update one view event (see utils/viewEvents.js)
+ * Owners watching their own videos are not recorded
+ */
+const recordVideoWatch = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { watchedSeconds } = req.body;
+
+  const video = await Video.findVisibleById(videoId, req.user?._id);
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  const isOwner = !!req.user && video.owner.equals(req.user._id);
+  if (!isOwner) {
+    await recordViewEvent(
+      video,
+      req.user
+        ? { viewerId: req.user._id }
+        : { fingerprint: getViewerFingerprint(req) },
+      watchedSeconds
+    );
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { recorded: !isOwner }, "View recorded successfully")
+    );
+});
+
+/**
+ * @description Lists the videos that were watched the most lately
+ * @function getTrendingVideos
+ * @param {Object} req - Express request object with window ("24h", "7d", "30d") and page / limit query
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with paginated videos, most trending first
+ *
+ * Ranked by the views within the window, recent views weigh more
+ * (see trendingVideosStages), each video comes with windowViews and trendingScore
+ */
+const getTrendingVideos = asyncHandler(async (req, res) => {
+  const { window = "24h" } = req.validatedQuery;
+
+  const pipeline = ViewStat.aggregate([
+    ...trendingVideosStages(TRENDING_WINDOWS[window], {
+      userId: req.user?._id,
+    }),
+    ...lookupUserSummary("owner"),
+  ]);
+
+  const videos = await ViewStat.aggregatePaginate(pipeline, {
+    ...getPaginationOptions(req.validatedQuery, 20),
+    sort: { trendingScore: -1, _id: 1 },
+    customLabels: {
+      docs: "videos",
+    },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Trending videos fetched successfully"));
+});
+
+/**
+ * @description Streams a locally stored video, with support for seeking
+ * @function streamVideo
+ * @param {Object} req - Express request object with videoId param, optional token query and Range / If-None-Match / If-Range headers
+ * @param {Object} res - Express response object
+ * @returns {void} The file (200), a part of it (206), 304 when the client copy is fresh or 416 for a bad range
+ *
+ * Steps:
+ * 1. Find the viewer: the signed token (see getVideoStreamUrl) or the logged in user
+ * 2. Unpublished videos are only streamed to their owner
+ * 3. Videos that are not stored locally redirect to their storage url (Cloudinary handles ranges)
+ * 4. Answer conditional requests with 304 (ETag / Last-Modified)
+ * 5. Send the requested byte range, or the whole file
+ * 6. A request that starts at the beginning of the file counts as a view
+ */
+const streamVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { token } = req.validatedQuery;
+
+  const viewerId = token
+    ? verifyStreamToken(token, videoId)
+    : req.user?._id?.toString();
+
+  const video = await Video.findVisibleById(videoId, viewerId);
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+  assertProcessed(video);
+
+  const filePath = localDriver.resolveFilePath(video.videoFile);
+  if (!filePath) {
+    return res.redirect(302, video.videoFile);
+  }
+
+  const stats = await fs.promises.stat(filePath).catch(() => null);
+  if (!stats?.isFile()) {
+    throw new ApiError(404, "Video file not found");
+  }
+
+  const etag = `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+  res.set({
+    "Accept-Ranges": "bytes",
+    ETag: etag,
+    "Last-Modified": stats.mtime.toUTCString(),
+    // the browser keeps its copy but asks again (304) before using it
+    "Cache-Control": "private, no-cache",
+  });
+
+  // req.fresh compares If-None-Match / If-Modified-Since with the headers above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  let start = 0;
+  let end = stats.size - 1;
+
+  if (
+    req.get("range") &&
+    isRangeStillValid(req.get("if-range"), etag, stats.mtime)
+  ) {
+    // req.range() parses the Range header: -1 unsatisfiable, -2 malformed
+    const ranges = req.range(stats.size, { combine: true });
+    if (ranges === -1) {
+      res.set("Content-Range", `bytes */${stats.size}`);
+      throw new ApiError(416, "Requested range not satisfiable");
+    }
+    // malformed and multiple ranges are answered with the whole file
+    if (ranges !== -2 && ranges.type === "bytes" && ranges.length === 1) {
+      ({ start, end } = ranges[0]);
+      res
+        .status(206)
+        .set("Content-Range", `bytes ${start}-${end}/${stats.size}`);
+    }
+  }
+
+  res.type(getVideoMimeType(filePath));
+  res.set("Content-Length", String(end - start + 1));
+
+  if (req.method === "HEAD") {
+    return res.end();
+  }
+
+  // players request the start once and then seek with further ranges
+  if (start === 0 && viewerId) {
+    await recordVideoView(video._id, viewerId, video.owner);
+  }
+
+  try {
+    await pipeline(fs.createReadStream(filePath, { start, end }), res);
+  } catch (error) {
+    // the player closed the connection (e.g. seeking or leaving the page),
+    // the response is already under way so there is nothing left to send
+  }
+});
+
+/**
+ * @description Updates title, description and optionally the thumbnail of a video
+ * @function updateVideo
+ * @param {Object} req - Express request object with videoId param, body and optional thumbnail file
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the updated video
+ */
+const updateVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { title, description } = req.body;
+  const thumbnailLocalPath = req.file?.path;
+
+  const video = await findOwnedVideo(videoId, req.user);
+
+  if (!title?.trim() && !description?.trim() && !thumbnailLocalPath) {
+    throw new ApiError(400, "Nothing to update");
+  }
+
+  if (title?.trim()) video.title = title.trim();
+  if (description?.trim()) video.description = description.trim();
+
+  let previousThumbnail;
+
+  if (thumbnailLocalPath) {
+    const thumbnail = await uploadFile(thumbnailLocalPath, {
+      resourceType: "image",
+    });
+    if (!thumbnail?.url) {
+      throw new ApiError(500, "Error while uploading thumbnail");
+    }
+    previousThumbnail = video.thumbnail;
+    video.thumbnail = thumbnail.url;
+  }
+
+  await video.save();
+  await deleteFile(previousThumbnail);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video updated successfully"));
+});
+
+const deleteVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await findOwnedVideo(videoId, req.user);
+  await video.deleteOne();
+  await deleteFile(video.videoFile);
+  await deleteFile(video.thumbnail);
+
+  // remove everything that only makes sense together with the video
+  const commentIds = await Comment.find({ video: video._id }).distinct("_id");
+  await Like.deleteMany({
+    $or: [{ video: video._id }, { comment: { $in: commentIds } }],
+  });
+  await Comment.deleteMany({ video: video._id });
+  await Playlist.updateMany(
+    { videos: video._id },
+    { $pull: { videos: video._id } }
+  );
+  await ViewEvent.deleteMany({ video: video._id });
+  await ViewStat.deleteMany({ video: video._id });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video deleted successfully"));
+});
+
+const togglePublishStatus = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await findOwnedVideo(videoId, req.user);
+  assertProcessed(video);
+
+  // videos taken down by staff stay unpublished until staff restore them
+  if (!video.isPublished && video.unpublishedBy) {
+    throw new ApiError(
+      403,
+      "This video was unpublished by a moderator and cannot be published again"
+    );
+  }
+
+  video.isPublished = !video.isPublished;
+  await video.save();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isPublished: video.isPublished },
+        "Publish status toggled successfully"
+      )
+    );
+});
+
+export {
+  getAllVideos,
+  publishAVideo,
+  getVideoById,
+  updateVideo,
+  deleteVideo,
+  togglePublishStatus,
+  getVideoStreamUrl,
+  streamVideo,
+  recordVideoWatch,
+  getTrendingVideos,
+};
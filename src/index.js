@@ -4,13 +4,29 @@ import dotenv from "dotenv";
 
 import connectDB from "./db/index.js";
 import { app } from "./app.js";
+import { startTempFileSweeper, startUploadCleanup } from "./utils/uploadCleanup.js";
+import { startNotifications } from "./utils/notifications.js";
+import { startJobWorker } from "./utils/jobQueue.js";
+import { registerJobs } from "./jobs/index.js";
+import { getTransport } from "./utils/mailer/index.js";
 
 dotenv.config({
   path: "./.env",
 });
 
+// fails at startup instead of on the first mail when MAIL_TRANSPORT is missing or unknown
+getTransport();
+
 connectDB()
   .then(()=>{
+    // removes resumable uploads that were abandoned and temp files left by crashed requests
+    startUploadCleanup();
+    startTempFileSweeper();
+    // turns subscriptions, new videos, comments and likes into notifications
+    startNotifications();
+    // background jobs run in this process unless JOB_WORKER=separate (then see worker.js)
+    registerJobs();
+    if (process.env.JOB_WORKER !== "separate") startJobWorker();
     app.listen(process.env.PORT || 8000,()=>{
       console.log(`Server is running at port :${process.env.PORT}`);
     })
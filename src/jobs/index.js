@@ -0,0 +1,13 @@
+import { defineJob } from "../utils/jobQueue.js";
+import { onVideoProcessingFailed, processVideo } from "./processVideo.job.js";
+
+// Defines every job type of the application
+// Called by the API (index.js) and by the standalone worker (worker.js),
+// both need the definitions: the API to enqueue, the worker to run them
+const registerJobs = () => {
+  defineJob("processVideo", processVideo, {
+    onDead: onVideoProcessingFailed,
+  });
+};
+
+export { registerJobs };
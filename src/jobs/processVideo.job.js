@@ -0,0 +1,118 @@
+import { Video } from "../models/video.model.js";
+import { getEventBus } from "../utils/eventBus/index.js";
+import { removeStagedFiles, uploadStagedFile } from "../utils/jobFiles.js";
+import { deleteFile } from "../utils/storage/index.js";
+
+// Stores the file of a staged upload, throws so the attempt is retried
+const storeStagedFile = async (stagedPath, resourceType) => {
+  if (!stagedPath) {
+    throw new Error(`The ${resourceType} file of the video is missing`);
+  }
+
+  const stored = await uploadStagedFile(stagedPath, { resourceType });
+  if (!stored?.url) {
+    throw new Error(`Error while uploading the ${resourceType} file`);
+  }
+  return stored;
+};
+
+// Saves the url of a file that was just stored on the video
+// A video deleted during the upload is not saved again, its file is removed
+// from storage instead of being left behind
+// @returns {Promise<boolean>} false when the video no longer exists
+const attachStoredFile = async (video, fields, url) => {
+  const { matchedCount } = await Video.updateOne(
+    { _id: video._id },
+    { $set: fields }
+  );
+  if (!matchedCount) {
+    await deleteFile(url);
+    return false;
+  }
+  video.set(fields);
+  return true;
+};
+
+/**
+ * @description Uploads the files of a newly published video and makes it playable
+ * @function processVideo
+ * @param {Object} payload - { videoId, videoPath, thumbnailPath }
+ *   videoPath / thumbnailPath: staged files (see utils/jobFiles.js), videoPath is
+ *   missing when the video came from a resumable upload that is already stored
+ * @returns {Promise<Object>} { videoId }, the job result
+ *
+ * Steps:
+ * 1. pending -> processing
+ * 2. Store the files the video does not have yet, so a retry does not upload them twice
+ *    (a file stored for a video deleted in the meantime is removed again)
+ * 3. processing -> ready, the video gets published unless staff took it down
+ *    in the meantime (forceUnpublishVideo), the job must not bypass that
+ * 4. Subscribers of the channel get notified when the video became public
+ */
+const processVideo = async ({ videoId, videoPath, thumbnailPath }) => {
+  const video = await Video.findById(videoId);
+
+  // deleted by its owner before or while it was processed
+  const deleted = async () => {
+    await removeStagedFiles(videoPath, thumbnailPath);
+    return { videoId, deleted: true };
+  };
+  if (!video) return deleted();
+
+  video.processingStatus = "processing";
+  await video.save();
+
+  if (!video.videoFile) {
+    const videoFile = await storeStagedFile(videoPath, "video");
+    // cloudinary reports the duration (in seconds) for video resources,
+    // the local driver does not probe files so it stays 0 there
+    const attached = await attachStoredFile(
+      video,
+      { videoFile: videoFile.url, duration: videoFile.duration || 0 },
+      videoFile.url
+    );
+    if (!attached) return deleted();
+  }
+
+  if (!video.thumbnail) {
+    const thumbnail = await storeStagedFile(thumbnailPath, "image");
+    const attached = await attachStoredFile(
+      video,
+      { thumbnail: thumbnail.url },
+      thumbnail.url
+    );
+    if (!attached) return deleted();
+  }
+
+  video.processingStatus = "ready";
+  video.processingError = undefined;
+  await video.save();
+
+  // one atomic step, so a take down right before it still wins
+  const published = await Video.findOneAndUpdate(
+    { _id: video._id, unpublishedBy: null },
+    { $set: { isPublished: true } },
+    { new: true }
+  );
+
+  await removeStagedFiles(videoPath, thumbnailPath);
+
+  if (published) {
+    await getEventBus().publish("video.published", {
+      video: video._id,
+      owner: video.owner,
+    });
+  }
+
+  return { videoId, isPublished: !!published };
+};
+
+// The job ended up in the dead-letter queue, the owner sees why
+// The staged files are kept for a retry (see retryDeadJob)
+const onVideoProcessingFailed = ({ videoId }, error) =>
+  Video.updateOne(
+    { _id: videoId },
+    { processingStatus: "failed", processingError: error.message }
+  );
+
+export { processVideo, onVideoProcessingFailed };
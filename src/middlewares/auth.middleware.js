@@ -1,7 +1,58 @@
 import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from "jsonwebtoken";
+import { isValidObjectId } from "mongoose";
 import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { STREAM_TOKEN_TYPE } from "../utils/videoStream.js";
+
+// Extract token from cookies or Authorization header
+// Optional chaining (?.) - Safely access nested properties
+// req.header("Authorization") - Get token from Authorization header
+// replace() - Remove "Bearer " prefix if present
+const extractToken = (req) =>
+  req.cookies?.accessToken ||
+  req.header("Authorization")?.replace("Bearer ", "");
+
+// Verifies the access token and loads the user and session it belongs to
+// Throws if the token is invalid, its session was revoked, the user no longer exists
+// or the account is suspended / banned
+const getUserFromToken = async (token) => {
+  // jwt.verify() - Verifies the token signature and decodes the payload
+  // process.env.ACCESS_TOKEN_SECRET - Secret key used to sign the token
+  const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+
+  // tokens issued before sessions existed have no sid and are refused,
+  // as are signed stream urls when they share the access token secret
+  if (
+    decodedToken?.typ === STREAM_TOKEN_TYPE ||
+    !decodedToken?.sid ||
+    !isValidObjectId(decodedToken.sid)
+  ) {
+    throw new ApiError(401, "Invalid Access Token");
+  }
+
+  const session = await Session.findActive(decodedToken.sid, decodedToken._id);
+  if (!session) {
+    throw new ApiError(401, "Session has expired or was revoked");
+  }
+
+  // User.findById() - Mongoose method to find user by ID
+  // select() - Exclude sensitive fields from the result
+  const user = await User.findById(decodedToken?._id).select(
+    "-password -refreshToken"
+  );
+
+  if (!user) {
+    throw new ApiError(401, "Invalid Access Token");
+  }
+
+  if (user.isAccessBlocked()) {
+    throw new ApiError(403, `Your account has been ${user.status}`);
+  }
+
+  return { user, session };
+};
 
 /**
  * @description Middleware to verify JWT token and authenticate user
@@ -14,45 +65,84 @@ import { User } from "../models/user.model.js";
  * Steps:
  * 1. Extract token from cookies or Authorization header
  * 2. Verify token using JWT
- * 3. Find user in database
- * 4. Attach user to request object
+ * 3. Check that the session of the token is still active
+ * 4. Find user in database
+ * 5. Attach user (req.user) and session (req.authSession) to request object
  */
 export const verifyJWT = asyncHandler(async (req, _, next) => {
-  // 1. Extract token from cookies or Authorization header
-  // Optional chaining (?.) - Safely access nested properties
-  // req.header("Authorization") - Get token from Authorization header
-  // replace() - Remove "Bearer " prefix if present
-  try {
-    const token =
-      req.cookies?.accessToken ||
-      req.header("Authorization")?.replace("Bearer ", "");
-
-    // Check if token exists
-    if (!token) {
-      throw new ApiError(401, "Unauthorized request");
+  const token = extractToken(req);
+
+  // Check if token exists
+  if (!token) {
+    throw new ApiError(401, "Unauthorized request");
+  }
+
+  // Attach user and session to request object for use in subsequent middleware/routes
+  // jwt errors (expired / invalid token) are turned into 401 by the error middleware
+  const { user, session } = await getUserFromToken(token);
+  req.user = user;
+  req.authSession = session;
+  next();
+});
+
+/**
+ * @description Same as verifyJWT but lets anonymous requests through
+ * @function optionalVerifyJWT
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ *
+ * Attaches req.user when a valid token is sent, otherwise leaves it undefined
+ * Used by public routes that show extra data to logged in users
+ */
+export const optionalVerifyJWT = asyncHandler(async (req, _, next) => {
+  const token = extractToken(req);
+
+  if (token) {
+    try {
+      const { user, session } = await getUserFromToken(token);
+      req.user = user;
+      req.authSession = session;
+    } catch (error) {
+      // an expired, invalid or revoked token is treated as an anonymous request
+      req.user = undefined;
     }
+  }
 
-    // 2. Verify token using JWT
-    // jwt.verify() - Verifies the token signature and decodes the payload
-    // process.env.ACCESS_TOKEN_SECRET - Secret key used to sign the token
-    const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+  next();
+});
 
-    // 3. Find user in database
-    // User.findById() - Mongoose method to find user by ID
-    // select() - Exclude sensitive fields from the result
-    const user = await User.findById(decodedToken?._id).select(
-      "-password -refreshToken"
+/**
+ * @description Middleware that only lets users with a verified email through
+ * @function requireVerifiedEmail
+ * @throws {ApiError} 403 if the email of req.user is not verified
+ *
+ * Must run after verifyJWT, e.g. router.route("/").post(verifyJWT, requireVerifiedEmail, publishAVideo)
+ */
+export const requireVerifiedEmail = (req, _, next) => {
+  if (!req.user?.isEmailVerified) {
+    throw new ApiError(
+      403,
+      "Please verify your email address before doing this"
     );
+  }
+  next();
+};
 
-    // Check if user exists
-    if (!user) {
-      throw new ApiError(401, "Invalid Access Token");
+/**
+ * @description Builds a middleware that only lets users with one of the given roles through
+ * @function authorize
+ * @param {...string} roles - allowed roles, see USER_ROLES in constants.js
+ * @returns {Function} Express middleware
+ * @throws {ApiError} 403 if req.user does not have one of the roles
+ *
+ * Must run after verifyJWT, e.g. router.use(verifyJWT, authorize("moderator", "admin"))
+ */
+export const authorize =
+  (...roles) =>
+  (req, _, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      throw new ApiError(403, "You do not have permission to do this");
     }
-
-    // 4. Attach user to request object for use in subsequent middleware/routes
-    req.user = user;
     next();
-  } catch (error) {
-    throw new ApiError(401, error?.message || "Invalid Access Token");
-  }
-});
+  };
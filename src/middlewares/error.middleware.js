@@ -0,0 +1,129 @@
+import mongoose from "mongoose";
+import multer from "multer";
+import jwt from "jsonwebtoken";
+import { ApiError } from "../utils/ApiError.js";
+
+// HTTP status for each multer limit error
+const MULTER_STATUS_CODES = {
+  LIMIT_FILE_SIZE: 413,
+  LIMIT_PART_COUNT: 413,
+  LIMIT_FIELD_VALUE: 413,
+  LIMIT_FILE_COUNT: 400,
+  LIMIT_FIELD_KEY: 400,
+  LIMIT_FIELD_COUNT: 400,
+  LIMIT_UNEXPECTED_FILE: 400,
+};
+
+// Converts any thrown error into an ApiError with a proper status code
+// Errors that are already ApiError are returned untouched
+const toApiError = (err) => {
+  if (err instanceof ApiError) return err;
+
+  // Mongoose schema validation, one entry per invalid field
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(err.errors).map((error) => ({
+      field: error.path,
+      message: error.message,
+    }));
+    return new ApiError(400, "Validation failed", errors, err.stack);
+  }
+
+  // Mongoose could not cast a value, e.g. a malformed ObjectId
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError(
+      400,
+      `Invalid value for ${err.path}`,
+      [{ field: err.path, message: `Invalid ${err.kind}` }],
+      err.stack
+    );
+  }
+
+  // MongoDB duplicate key (unique index)
+  if (err?.code === 11000) {
+    const errors = Object.keys(err.keyValue || {}).map((field) => ({
+      field,
+      message: `${field} already exists`,
+    }));
+    return new ApiError(409, "Duplicate value", errors, err.stack);
+  }
+
+  // TokenExpiredError extends JsonWebTokenError, so it is checked first
+  if (err instanceof jwt.TokenExpiredError) {
+    return new ApiError(401, "Token has expired", [], err.stack);
+  }
+  if (err instanceof jwt.JsonWebTokenError) {
+    return new ApiError(401, "Invalid token", [], err.stack);
+  }
+
+  if (err instanceof multer.MulterError) {
+    return new ApiError(
+      MULTER_STATUS_CODES[err.code] || 400,
+      err.message,
+      err.field ? [{ field: err.field, message: err.message }] : [],
+      err.stack
+    );
+  }
+
+  // body-parser errors (express.json / express.urlencoded)
+  if (err?.type === "entity.too.large") {
+    return new ApiError(413, "Request body too large", [], err.stack);
+  }
+  if (err?.type === "entity.parse.failed") {
+    return new ApiError(400, "Malformed request body", [], err.stack);
+  }
+
+  // errors from express and its middlewares (e.g. http-errors) carry a status
+  const statusCode = err?.statusCode || err?.status;
+  return new ApiError(
+    statusCode >= 400 && statusCode < 600 ? statusCode : 500,
+    err?.message || "Internal Server Error",
+    [],
+    err?.stack
+  );
+};
+
+/**
+ * @description Responds with a JSON 404 for routes that do not exist
+ * @function notFoundHandler
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const notFoundHandler = (req, _, next) => {
+  next(new ApiError(404, `Route not found: ${req.method} ${req.originalUrl}`));
+};
+
+/**
+ * @description Global error handler, renders every error in the ApiError shape
+ * @function errorHandler
+ * @param {Error} err - Error thrown by a route or passed to next()
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ *
+ * Response body: { statusCode, data, message, success, errors, stack? }
+ * The stack is only sent when NODE_ENV is "development"
+ * Streamed responses (video, SSE) may fail after their headers went out,
+ * those are left to express, which closes the connection
+ */
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  const error = toApiError(err);
+  const isDevelopment = process.env.NODE_ENV === "development";
+
+  // unexpected errors are logged, their message is hidden outside development
+  if (!(err instanceof ApiError) && error.statusCode >= 500) {
+    console.error(err);
+    if (!isDevelopment) error.message = "Internal Server Error";
+  }
+
+  return res.status(error.statusCode).json({
+    statusCode: error.statusCode,
+    data: null,
+    message: error.message,
+    success: false,
+    errors: error.errors,
+    ...(isDevelopment && { stack: error.stack }),
+  });
+};
@@ -1,5 +1,53 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
 // Importing multer for handling multipart/form-data, primarily used for file uploads
 import multer from "multer";
+import { TEMP_UPLOAD_DIR } from "../constants.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  detectFileType,
+  getImageDimensions,
+  readHeader,
+} from "../utils/fileType.js";
+
+const MB = 1024 * 1024;
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+const VIDEO_TYPES = [
+  "video/mp4",
+  "video/quicktime",
+  "video/webm",
+  "video/x-matroska",
+  "video/x-msvideo",
+];
+
+// What each upload field accepts
+// The declared type is checked while receiving, the real type (magic bytes),
+// size and image dimensions once the file is on disk (see verifyUploadedFiles)
+// Videos larger than the videoFile limit go through resumable uploads (/api/v1/uploads)
+const UPLOAD_POLICIES = {
+  avatar: {
+    types: IMAGE_TYPES,
+    maxSize: 5 * MB,
+    maxWidth: 2048,
+    maxHeight: 2048,
+  },
+  coverImage: {
+    types: IMAGE_TYPES,
+    maxSize: 10 * MB,
+    maxWidth: 4096,
+    maxHeight: 4096,
+  },
+  thumbnail: {
+    types: IMAGE_TYPES,
+    maxSize: 5 * MB,
+    maxWidth: 4096,
+    maxHeight: 4096,
+  },
+  videoFile: { types: VIDEO_TYPES, maxSize: 500 * MB },
+};
 
 // Configuring disk storage for multer
 // This determines where uploaded files will be stored and how they will be named
@@ -7,15 +55,130 @@ const storage = multer.diskStorage({
   // Specifies the destination folder for uploaded files
   // Files are temporarily stored in ./public/temp before being processed
   destination: function (req, file, cb) {
-    cb(null, "./public/temp");
+    cb(null, TEMP_UPLOAD_DIR);
   },
   // Determines the filename of the uploaded file
-  // Using originalname preserves the original file name
+  // A random name, so two uploads never overwrite each other and the client
+  // has no say in the path; the extension is set once the content is checked
   filename: function (req, file, cb) {
-    cb(null, file.originalname);
+    cb(null, `${Date.now()}-${crypto.randomUUID()}`);
+  },
+});
+
+// Refuses fields without a policy and declared types the field does not accept
+// before anything is written to disk
+const fileFilter = (req, file, cb) => {
+  const policy = UPLOAD_POLICIES[file.fieldname];
+  if (!policy) {
+    return cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname));
+  }
+  if (!policy.types.includes(file.mimetype)) {
+    return cb(
+      new ApiError(
+        415,
+        `${file.fieldname} must be one of: ${policy.types.join(", ")}`,
+        [{ field: file.fieldname, message: "Unsupported file type" }]
+      )
+    );
+  }
+  cb(null, true);
+};
+
+const multerUpload = multer({
+  storage,
+  fileFilter,
+  // per field sizes are checked in verifyUploadedFiles, this stops anything bigger early
+  limits: {
+    fileSize: Math.max(
+      ...Object.values(UPLOAD_POLICIES).map(({ maxSize }) => maxSize)
+    ),
   },
 });
 
-// Creating and exporting the multer middleware instance
-// This instance can be used in routes to handle file uploads
-export const upload = multer({ storage: storage });
\ No newline at end of file
+// Files multer already wrote to public/temp for this request
+const getUploadedFiles = (req) => [
+  ...(req.file ? [req.file] : []),
+  ...(Array.isArray(req.files)
+    ? req.files
+    : Object.values(req.files || {}).flat()),
+];
+
+// Removes the files multer already wrote to public/temp for this request
+// Used by middlewares that reject a request after multer ran (validation, rate limits)
+export const removeUploadedFiles = (req) => {
+  for (const file of getUploadedFiles(req)) {
+    fs.rmSync(file.path, { force: true });
+  }
+};
+
+// Checks one uploaded file against the policy of its field
+// @returns {Promise<{status: number, message: string}|null>} what is wrong with the file, null when it is fine
+const checkUploadedFile = async (file) => {
+  const policy = UPLOAD_POLICIES[file.fieldname];
+
+  if (file.size > policy.maxSize) {
+    return {
+      status: 413,
+      message: `must be at most ${policy.maxSize / MB} MB`,
+    };
+  }
+
+  const header = await readHeader(file.path);
+  const type = detectFileType(header);
+  if (!type || !policy.types.includes(type.mime)) {
+    return {
+      status: 415,
+      message: "content does not match an accepted file type",
+    };
+  }
+
+  if (policy.maxWidth) {
+    const dimensions = getImageDimensions(header, type.mime);
+    if (!dimensions) {
+      return { status: 400, message: "image size could not be read" };
+    }
+    if (
+      dimensions.width > policy.maxWidth ||
+      dimensions.height > policy.maxHeight
+    ) {
+      return {
+        status: 400,
+        message: `image must be at most ${policy.maxWidth}x${policy.maxHeight} pixels`,
+      };
+    }
+  }
+
+  // give the temp file the extension of its real type, storage relies on it
+  const typedPath = `${file.path}${type.extension}`;
+  await fs.promises.rename(file.path, typedPath);
+  file.path = typedPath;
+  file.filename = path.basename(typedPath);
+  file.mimetype = type.mime;
+  return null;
+};
+
+// Runs after multer: sniffs the content of every uploaded file
+// The first refused file fails the request and all its files are removed
+const verifyUploadedFiles = asyncHandler(async (req, _, next) => {
+  for (const file of getUploadedFiles(req)) {
+    const problem = await checkUploadedFile(file);
+    if (problem) {
+      removeUploadedFiles(req);
+      throw new ApiError(
+        problem.status,
+        `${file.fieldname} ${problem.message}`,
+        [{ field: file.fieldname, message: problem.message }]
+      );
+    }
+  }
+
+  next();
+});
+
+// Upload middlewares used by the routes, same calls as multer's
+// e.g. upload.single("avatar") or upload.fields([{ name: "videoFile", maxCount: 1 }])
+// Each returns [multer, verifyUploadedFiles], express runs both in order
+export const upload = {
+  single: (name) => [multerUpload.single(name), verifyUploadedFiles],
+  fields: (fields) => [multerUpload.fields(fields), verifyUploadedFiles],
+};
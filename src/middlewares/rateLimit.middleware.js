@@ -0,0 +1,63 @@
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getRateLimitStore } from "../utils/rateLimit/index.js";
+import { removeUploadedFiles } from "./multer.middleware.js";
+
+// Sets Retry-After (in seconds) and returns the 429 error to throw
+const tooManyRequests = (res, retryAfterMs, message) => {
+  res.set("Retry-After", String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  return new ApiError(429, message);
+};
+
+/**
+ * @description Builds a fixed window rate limit middleware
+ * @function rateLimit
+ * @param {Object} options
+ * @param {string} options.prefix - name of the limit, keeps the counters of different limits apart
+ * @param {number} options.windowMs - length of a window in ms
+ * @param {number} options.max - requests allowed per key and window
+ * @param {Function} [options.keyGenerator] - (req) => key, defaults to the client ip (req.ip, see TRUST_PROXY)
+ *   requests for which it returns a falsy key are not limited
+ * @param {string} [options.message] - message of the 429 response
+ * @param {Object} [options.store] - counter store, defaults to RATE_LIMIT_STORE (see utils/rateLimit)
+ * @returns {Function} Express middleware
+ * @throws {ApiError} 429 with a Retry-After header once the limit is reached
+ *
+ * Sets the RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset headers on every response
+ *
+ * Usage:
+ * router.route("/login").post(rateLimit({ prefix: "login-ip", windowMs: 15 * 60 * 1000, max: 20 }), loginUser)
+ */
+const rateLimit = ({
+  prefix,
+  windowMs,
+  max,
+  keyGenerator = (req) => req.ip,
+  message = "Too many requests, please try again later",
+  store,
+}) =>
+  asyncHandler(async (req, res, next) => {
+    const key = await keyGenerator(req);
+    if (!key) return next();
+
+    const { count, resetAt } = await (store || getRateLimitStore()).increment(
+      `${prefix}:${key}`,
+      windowMs
+    );
+    const retryAfterMs = resetAt - Date.now();
+
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(0, max - count)),
+      "RateLimit-Reset": String(Math.max(0, Math.ceil(retryAfterMs / 1000))),
+    });
+
+    if (count > max) {
+      removeUploadedFiles(req);
+      throw tooManyRequests(res, retryAfterMs, message);
+    }
+
+    next();
+  });
+
+export { rateLimit, tooManyRequests };
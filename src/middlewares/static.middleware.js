@@ -0,0 +1,30 @@
+import express from "express";
+import { getResourceType } from "../utils/storage/local.driver.js";
+
+/**
+ * @description express.static that never serves video files
+ * @function serveStaticWithoutVideos
+ * @param {string} root - folder to serve, e.g. "public"
+ * @returns {Function} Express middleware
+ *
+ * Locally stored videos are streamed by GET /api/v1/videos/:videoId/stream instead,
+ * which hides unpublished videos from everyone but their owner
+ * Images (avatars, thumbnails) are still served as static files
+ * Requests for video files simply fall through (and end in a 404)
+ * express.static decodes the path, so the check runs on the decoded path too
+ * (otherwise /uploads/a.mp%34 would serve a.mp4)
+ */
+export const serveStaticWithoutVideos = (root) => {
+  const serveStatic = express.static(root);
+  return (req, res, next) => {
+    let filePath;
+    try {
+      filePath = decodeURIComponent(req.path);
+    } catch (error) {
+      // malformed escape sequence, express.static would not find a file either
+      return next();
+    }
+    if (getResourceType(filePath) === "video") return next();
+    serveStatic(req, res, next);
+  };
+};
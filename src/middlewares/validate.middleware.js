@@ -0,0 +1,57 @@
+import { ApiError } from "../utils/ApiError.js";
+import { removeUploadedFiles } from "./multer.middleware.js";
+import { objectId, validateSchema } from "../utils/validation.js";
+
+/**
+ * @description Builds a middleware that validates req.body, req.params and req.query
+ * @function validate
+ * @param {Object} schemas - { body, params, query }, each a schema from utils/validation.js
+ * @returns {Function} Express middleware
+ * @throws {ApiError} 400 with one { field, message } entry per invalid field
+ *
+ * Sanitized values (trimmed, lowercased, parsed) replace the raw ones in req.body and req.params
+ * req.query is read-only in Express 5, its sanitized values are exposed as req.validatedQuery
+ * When validation fails, uploaded temp files of the request are removed
+ *
+ * Usage:
+ * router.route("/register").post(upload.fields([...]), validate({ body: registerUserSchema }), registerUser)
+ */
+const validate =
+  ({ body, params, query } = {}) =>
+  (req, _, next) => {
+    const errors = [];
+
+    if (body) {
+      const result = validateSchema(body, req.body);
+      errors.push(...result.errors);
+      req.body = { ...req.body, ...result.values };
+    }
+
+    if (params) {
+      const result = validateSchema(params, req.params);
+      errors.push(...result.errors);
+      Object.assign(req.params, result.values);
+    }
+
+    if (query) {
+      const result = validateSchema(query, req.query);
+      errors.push(...result.errors);
+      req.validatedQuery = result.values;
+    }
+
+    if (errors.length) {
+      removeUploadedFiles(req);
+      return next(new ApiError(400, "Validation failed", errors));
+    }
+
+    next();
+  };
+
+// Shortcut for the common case of routes that only take ObjectId params
+// e.g. validateObjectIds("videoId", "playlistId")
+const validateObjectIds = (...names) =>
+  validate({
+    params: Object.fromEntries(names.map((name) => [name, objectId()])),
+  });
+
+export { validate, validateObjectIds };
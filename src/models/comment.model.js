@@ -0,0 +1,38 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+const commentSchema = new Schema(
+  {
+    content: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // set when the comment is a reply, replies are only one level deep
+    // so the parent is always a top level comment
+    parent: {
+      type: Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// listing the comments of a video and the replies of a comment
+commentSchema.index({ video: 1, parent: 1, createdAt: -1 });
+
+// Adds aggregatePaginate method, same as the Video model
+commentSchema.plugin(mongooseAggregatePaginate);
+
+export const Comment = mongoose.model("Comment", commentSchema);
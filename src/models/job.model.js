@@ -0,0 +1,84 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { JOB_RETENTION_DAYS, JOB_STATUSES } from "../constants.js";
+
+// A unit of background work, see utils/jobQueue.js
+const jobSchema = new Schema(
+  {
+    // which handler runs the job, e.g. "processVideo"
+    name: {
+      type: String,
+      required: true,
+    },
+    // input of the handler, plain JSON (ids as strings)
+    payload: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "queued",
+    },
+    // user the job was enqueued for, the only one who may poll it (besides staff)
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      required: true,
+    },
+    // how long a worker may hold the job without extending its lock
+    timeoutMs: {
+      type: Number,
+      required: true,
+    },
+    // earliest time the job may run, pushed back on every retry
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // worker holding the job and until when (visibility timeout)
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+    },
+    // returned by the handler
+    result: {
+      type: Schema.Types.Mixed,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// claiming the next due job and finding jobs whose worker died
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+
+// MongoDB removes completed jobs after JOB_RETENTION_DAYS,
+// dead jobs stay in the dead-letter queue until they are retried
+jobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: JOB_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+// Adds aggregatePaginate method for the admin job listing
+jobSchema.plugin(mongooseAggregatePaginate);
+
+export const Job = mongoose.model("Job", jobSchema);
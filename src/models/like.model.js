@@ -0,0 +1,55 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// A like targets exactly one of: video, comment or tweet (community post)
+const likeSchema = new Schema(
+  {
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+    },
+    comment: {
+      type: Schema.Types.ObjectId,
+      ref: "Comment",
+    },
+    tweet: {
+      type: Schema.Types.ObjectId,
+      ref: "Tweet",
+    },
+    likedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// A user can like each target only once
+// Partial indexes so that likes of the other target types are not compared
+for (const target of ["video", "comment", "tweet"]) {
+  likeSchema.index(
+    { [target]: 1, likedBy: 1 },
+    {
+      unique: true,
+      partialFilterExpression: { [target]: { $exists: true } },
+    }
+  );
+}
+
+// invalidate() makes it a ValidationError, answered with 400 like the other schema errors
+likeSchema.pre("validate", function (next) {
+  const targets = ["video", "comment", "tweet"].filter((field) => this[field]);
+  if (targets.length !== 1) {
+    this.invalidate(
+      "video",
+      "A like must target exactly one video, comment or tweet"
+    );
+  }
+  next();
+});
+
+// Adds aggregatePaginate method for the liked videos feed
+likeSchema.plugin(mongooseAggregatePaginate);
+
+export const Like = mongoose.model("Like", likeSchema);
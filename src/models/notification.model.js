@@ -0,0 +1,72 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import {
+  NOTIFICATION_RETENTION_DAYS,
+  NOTIFICATION_TYPES,
+} from "../constants.js";
+
+// An entry of a user's notification inbox, created by utils/notifications.js
+const notificationSchema = new Schema(
+  {
+    recipient: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    // who caused it, none for like milestones
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // what it is about, depending on the type
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+    },
+    comment: {
+      type: Schema.Types.ObjectId,
+      ref: "Comment",
+    },
+    tweet: {
+      type: Schema.Types.ObjectId,
+      ref: "Tweet",
+    },
+    // like_milestone: number of likes reached
+    milestone: {
+      type: Number,
+    },
+    // null while unread
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// the inbox, newest first, and the unread count
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+// a milestone is only reached once, even when likes are removed and given again
+notificationSchema.index(
+  { recipient: 1, video: 1, comment: 1, tweet: 1, milestone: 1 },
+  { unique: true, partialFilterExpression: { type: "like_milestone" } }
+);
+
+// MongoDB removes notifications after NOTIFICATION_RETENTION_DAYS
+notificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+// Adds aggregatePaginate method for the inbox
+notificationSchema.plugin(mongooseAggregatePaginate);
+
+export const Notification = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,43 @@
+import mongoose, { Schema } from "mongoose";
+
+const playlistSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // order of the array is the order of the playlist
+    videos: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+      },
+    ],
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // private playlists are only visible to their owner
+    isPublic: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// full-text playlist search (GET /search), a name match ranks higher
+playlistSchema.index(
+  { name: "text", description: "text" },
+  { name: "playlist_text_search", weights: { name: 3, description: 1 } }
+);
+
+export const Playlist = mongoose.model("Playlist", playlistSchema);
@@ -0,0 +1,80 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import {
+  REPORT_ACTIONS,
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  REPORT_TARGET_TYPES,
+} from "../constants.js";
+
+// One report of a video, comment or user by one user
+// The moderation queue groups reports by target (targetType + target)
+const reportSchema = new Schema(
+  {
+    reporter: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: REPORT_TARGET_TYPES,
+      required: true,
+    },
+    // id of the reported video, comment or user
+    target: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    // user responsible for the target (the reported user itself for user reports)
+    // this is the account a moderator can suspend
+    targetOwner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: REPORT_STATUSES,
+      default: "open",
+    },
+    // moderator who picked up / closed the report, and what they did
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    action: {
+      type: String,
+      enum: REPORT_ACTIONS,
+    },
+    resolutionNote: {
+      type: String,
+    },
+    resolvedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// A user can report each target only once
+reportSchema.index({ targetType: 1, target: 1, reporter: 1 }, { unique: true });
+
+// moderation queue, filtered by status and grouped by target
+reportSchema.index({ status: 1, targetType: 1, createdAt: -1 });
+
+// Adds aggregatePaginate method for the moderation queue
+reportSchema.plugin(mongooseAggregatePaginate);
+
+export const Report = mongoose.model("Report", reportSchema);
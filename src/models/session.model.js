@@ -0,0 +1,112 @@
+import mongoose, { Schema } from "mongoose";
+import crypto from "crypto";
+
+// One session per logged in device
+// The session is also the "family" of all refresh tokens issued to that device:
+// every refresh rotates the token and only the hash of the latest one is kept,
+// presenting an older token means it was stolen and the whole session is revoked
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // sha256 of the current refresh token, the token itself is never stored
+    refreshTokenHash: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // logout, logout-all, revoked, reuse-detected, password-reset ...
+    revokedReason: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+// MongoDB removes sessions automatically once they expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hashes a refresh token the same way it is stored
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Finds a session that can still be used (not revoked, not expired)
+sessionSchema.statics.findActive = function (sessionId, userId) {
+  return this.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Revokes every active session of a user, e.g. "log out everywhere"
+sessionSchema.statics.revokeAllForUser = function (userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Checks a refresh token against the hash of the current one
+// timingSafeEqual avoids leaking how many characters matched
+sessionSchema.methods.isCurrentRefreshToken = function (token) {
+  if (!this.refreshTokenHash) return false;
+  const expected = Buffer.from(this.refreshTokenHash, "hex");
+  const actual = Buffer.from(this.constructor.hashToken(token), "hex");
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+// Swaps the refresh token of an active session in one atomic step
+// Only matches while previousToken is still the current one, so when the same token
+// is sent twice at the same time only one request gets a new pair
+// @returns {Promise<Object|null>} the updated session, null when the token was already used
+sessionSchema.statics.rotateRefreshToken = function (
+  sessionId,
+  previousToken,
+  update
+) {
+  return this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: this.hashToken(previousToken),
+      revokedAt: null,
+    },
+    { $set: update },
+    { new: true }
+  );
+};
+
+sessionSchema.methods.revoke = function (reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+export const Session = mongoose.model("Session", sessionSchema);
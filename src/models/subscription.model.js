@@ -1,17 +1,29 @@
 import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 const subscriptionSchema = new Schema(
   {
     subscriber: {
       type: Schema.Types.ObjectId, // one who is subscribing
       ref: "User",
+      required: true,
     },
     channel: {
       type: Schema.Types.ObjectId, // one to whom 'subscriber' is subscribing
       ref: "User",
+      required: true,
+      index: true,
     },
   },
   { timestamps: true }
 );
 
+// A user can subscribe to a channel only once
+// The unique compound index makes the database reject duplicate pairs,
+// even when two subscribe requests race each other
+subscriptionSchema.index({ subscriber: 1, channel: 1 }, { unique: true });
+
+// Adds aggregatePaginate method for paginated subscriber / subscription lists
+subscriptionSchema.plugin(mongooseAggregatePaginate);
+
 export const Subscription = mongoose.model("Subscription", subscriptionSchema);
@@ -0,0 +1,27 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// Community post: a short text a channel shares with its audience
+const tweetSchema = new Schema(
+  {
+    content: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 1000,
+    },
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// listing posts of a channel and the subscription feed, newest first
+tweetSchema.index({ owner: 1, createdAt: -1 });
+
+tweetSchema.plugin(mongooseAggregatePaginate);
+
+export const Tweet = mongoose.model("Tweet", tweetSchema);
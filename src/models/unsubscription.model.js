@@ -0,0 +1,32 @@
+import mongoose, { Schema } from "mongoose";
+
+// A subscription that was cancelled
+// Subscriptions are deleted on unsubscribe, this keeps what the creator
+// dashboard needs to chart subscribers lost (and gained) over time
+const unsubscriptionSchema = new Schema(
+  {
+    subscriber: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    channel: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // createdAt of the deleted subscription
+    subscribedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+unsubscriptionSchema.index({ channel: 1, createdAt: -1 });
+
+export const Unsubscription = mongoose.model(
+  "Unsubscription",
+  unsubscriptionSchema
+);
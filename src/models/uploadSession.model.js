@@ -0,0 +1,94 @@
+import mongoose, { Schema } from "mongoose";
+import path from "path";
+
+// A resumable upload: the client sends the file in chunks (PATCH with an offset),
+// can ask how much was received (HEAD) after a dropped connection and finally
+// finalizes the upload, which verifies the checksum and hands the file to storage
+const uploadSessionSchema = new Schema(
+  {
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // total size in bytes, announced when the session is created
+    size: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // bytes received so far, the next chunk must start here
+    offset: {
+      type: Number,
+      default: 0,
+    },
+    // sha256 (hex) of the whole file, can also be sent when finalizing
+    checksum: {
+      type: String,
+      lowercase: true,
+    },
+    // pending: receiving chunks, completed: stored, see file
+    status: {
+      type: String,
+      enum: ["pending", "completed"],
+      default: "pending",
+    },
+    // set while a chunk is written or the upload is finalized,
+    // so that two requests never write the same session at once
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // pushed back on every chunk, see utils/uploadCleanup.js
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    // result of the storage driver once completed
+    file: {
+      url: String,
+      publicId: String,
+      resourceType: String,
+      duration: Number,
+    },
+  },
+  { timestamps: true }
+);
+
+// Directory of the partial files, outside of public/ so they are never served
+const getUploadDir = () =>
+  path.resolve(process.env.RESUMABLE_UPLOAD_DIR || "temp/uploads");
+
+// Path of the partial file, the extension is kept so storage can tell the file type
+uploadSessionSchema.methods.getTempPath = function () {
+  const extension = path.extname(this.fileName).toLowerCase();
+  return path.join(getUploadDir(), `${this._id}${extension}`);
+};
+
+// Locks a pending session of the user for one request
+// Returns null when the session does not exist, is not pending or is already locked
+uploadSessionSchema.statics.acquire = function (uploadId, userId, lockMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      _id: uploadId,
+      owner: userId,
+      status: "pending",
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + lockMs) } },
+    { new: true }
+  );
+};
+
+export const UploadSession = mongoose.model(
+  "UploadSession",
+  uploadSessionSchema
+);
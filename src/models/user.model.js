@@ -1,6 +1,9 @@
 import mongoose, { Schema } from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { NOTIFICATION_TYPES, USER_ROLES, USER_STATUSES } from "../constants.js";
 
 const userSchema = new Schema(
   {
@@ -26,7 +29,7 @@ const userSchema = new Schema(
       index: true,
     },
     avatar: {
-      type: String, // cloudinary url
+      type: String, // url from the storage driver (cloudinary or local)
       required: true,
     },
     coverImage: {
@@ -42,13 +45,62 @@ const userSchema = new Schema(
       type: String,
       required: [true, "Password is required"],
     },
-    refreshToken: {
+    role: {
       type: String,
+      enum: USER_ROLES,
+      default: "user",
+    },
+    status: {
+      type: String,
+      enum: USER_STATUSES,
+      default: "active",
+    },
+    // end of a suspension, no value means until it is lifted by staff
+    suspendedUntil: {
+      type: Date,
+    },
+    statusReason: {
+      type: String,
+    },
+    // notification types the user does not want to receive, see NOTIFICATION_TYPES
+    mutedNotifications: [
+      {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+      },
+    ],
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // single-use tokens, only their sha256 hash is stored
+    // select: false keeps them out of every query unless asked for with "+field"
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpiry: {
+      type: Date,
+      select: false,
+    },
+    forgotPasswordToken: {
+      type: String,
+      select: false,
+    },
+    forgotPasswordExpiry: {
+      type: Date,
+      select: false,
     },
   },
   { timestamps: true }
 );
 
+// full-text channel search (GET /search), a username match ranks higher
+userSchema.index(
+    { username: "text", fullName: "text" },
+    { name: "user_text_search", weights: { username: 3, fullName: 2 } }
+);
+
 // Pre-save middleware to hash the password before saving to database
 // This ensures that passwords are never stored in plain text
 // The middleware only runs when the password field is modified
@@ -59,6 +111,14 @@ userSchema.pre("save", async function(next){
     next();
 })
 
+// Method to check if the account is currently refused access (banned or suspended)
+// A suspension with a suspendedUntil date in the past no longer counts
+userSchema.methods.isAccessBlocked = function(){
+    if (this.status === "banned") return true;
+    if (this.status !== "suspended") return false;
+    return !this.suspendedUntil || this.suspendedUntil > new Date();
+}
+
 // Method to verify if the provided password matches the hashed password in database
 // Uses bcrypt.compare to securely compare plain text password with hashed password
 // Returns true if passwords match, false otherwise
@@ -69,10 +129,13 @@ userSchema.methods.isPasswordCorrect = async function(password){
 // Method to generate access token for user authentication
 // Access tokens are short-lived and contain user's basic information
 // Used for regular API requests and expires quickly (1 day as per .env)
-userSchema.methods.generateAccessToken = function(){
+// sid is the id of the Session (device) the token belongs to, verifyJWT
+// rejects the token as soon as that session is revoked
+userSchema.methods.generateAccessToken = function(sessionId){
     return jwt.sign(
         {
             _id: this.id,
+            sid: sessionId?.toString(),
             email: this.email,
             username: this.username,
             fullName: this.fullName,
@@ -87,10 +150,14 @@ userSchema.methods.generateAccessToken = function(){
 // Method to generate refresh token for maintaining user session
 // Refresh tokens are long-lived and contain minimal user information
 // Used to obtain new access tokens when they expire (10 days as per .env)
-userSchema.methods.generateRefreshToken = function(){
+// jti makes every token unique, so two refreshes within the same second
+// still produce different tokens (needed for rotation and reuse detection)
+userSchema.methods.generateRefreshToken = function(sessionId){
     return jwt.sign(
         {
             _id: this.id,
+            sid: sessionId?.toString(),
+            jti: crypto.randomUUID(),
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
@@ -99,4 +166,24 @@ userSchema.methods.generateRefreshToken = function(){
     )
 }
 
+// Hashes a token received from the user to look it up in the database
+const hashTemporaryToken = (token) =>
+    crypto.createHash("sha256").update(token).digest("hex");
+
+userSchema.statics.hashTemporaryToken = hashTemporaryToken;
+
+// Method to generate a random single-use token (email verification, password reset)
+// The unhashed token is sent to the user by mail, only the hash is saved in the database
+// so a leaked database does not leak usable tokens
+// Returns the unhashed token, the hashed token and its expiry (20 minutes by default)
+userSchema.methods.generateTemporaryToken = function(expiryMs = 20 * 60 * 1000){
+    const unHashedToken = crypto.randomBytes(32).toString("hex");
+    const hashedToken = hashTemporaryToken(unHashedToken);
+    const tokenExpiry = new Date(Date.now() + expiryMs);
+    return { unHashedToken, hashedToken, tokenExpiry };
+}
+
+// Adds aggregatePaginate method, used by the admin user listing
+userSchema.plugin(mongooseAggregatePaginate);
+
 export const User = mongoose.model("User", userSchema);
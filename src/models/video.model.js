@@ -2,15 +2,21 @@ import mongoose, {Schema} from "mongoose";
 // Importing mongoose-aggregate-paginate-v2 for adding pagination support to aggregate queries
 // This plugin enables efficient pagination of MongoDB aggregate results
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { VIDEO_PROCESSING_STATUSES } from "../constants.js";
+
+// files and duration are only known once the processing job stored them
+function isProcessed() {
+    return this.processingStatus === "ready";
+}
 
 const videoSchema = new Schema({
-    videoFile: {  // cloudinary url
+    videoFile: {  // url from the storage driver
         type:String,
-        required: true,
+        required: isProcessed,
     },
-    thumbnail:{  // cloudinary url
+    thumbnail:{  // url from the storage driver
         type: String,
-        required: true,
+        required: isProcessed,
     },
     title:{
         type: String,
@@ -22,7 +28,7 @@ const videoSchema = new Schema({
     },
     duration:{  // cloudinary url
         type: Number,
-        required: true,
+        required: isProcessed,
     },
     views:{
         type: Number,
@@ -35,9 +41,52 @@ const videoSchema = new Schema({
     owner:{
         type: Schema.Types.ObjectId,
         ref: "User",
+    },
+    // set when staff force-unpublish the video, the owner cannot publish it again
+    unpublishedBy:{
+        type: Schema.Types.ObjectId,
+        ref: "User",
+    },
+    unpublishReason:{
+        type: String,
+    },
+    unpublishedAt:{
+        type: Date,
+    },
+    // new videos are stored by a background job (jobs/processVideo.job.js),
+    // they stay unpublished until it is done; videos from before the queue are ready
+    processingStatus:{
+        type: String,
+        enum: VIDEO_PROCESSING_STATUSES,
+        default: "ready",
+    },
+    processingJob:{
+        type: Schema.Types.ObjectId,
+        ref: "Job",
+    },
+    processingError:{
+        type: String,
     }
 },{timestamps: true});
 
+// channel pages and the subscription feed, newest videos of some owners
+videoSchema.index({ owner: 1, createdAt: -1 });
+
+// full-text video search (GET /search), a title match ranks higher
+videoSchema.index(
+    { title: "text", description: "text" },
+    { name: "video_text_search", weights: { title: 3, description: 1 } }
+);
+
+// Finds a video the given user is allowed to see
+// Unpublished videos are only visible to their owner
+// Returns null when the video does not exist or is hidden from the user
+videoSchema.statics.findVisibleById = function (videoId, userId) {
+    const visibility = [{ isPublished: true }];
+    if (userId) visibility.push({ owner: userId });
+    return this.findOne({ _id: videoId, $or: visibility });
+};
+
 // Applying the pagination plugin to the video schema
 // This adds aggregatePaginate method to the Video model
 // Enables features like:
@@ -0,0 +1,28 @@
+import mongoose, { Schema } from "mongoose";
+
+// Remembers when a viewer last added a view to a video
+// Used to count at most one view per viewer within VIEW_COUNT_WINDOW_MS
+const viewSchema = new Schema(
+  {
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    viewer: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    lastCountedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// one record per viewer and video
+viewSchema.index({ video: 1, viewer: 1 }, { unique: true });
+
+export const View = mongoose.model("View", viewSchema);
@@ -0,0 +1,63 @@
+import mongoose, { Schema } from "mongoose";
+import { VIEW_EVENT_RETENTION_DAYS } from "../constants.js";
+
+// One playback of a video, sent by the player (POST /videos/:videoId/views)
+// Progress reports of the same playback (same window) update the event instead of adding one,
+// see utils/viewEvents.js; totals per hour are kept in ViewStat
+const viewEventSchema = new Schema(
+  {
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    // owner of the video, so channel analytics do not need to join videos
+    channel: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // logged in viewer, null for anonymous viewers
+    viewer: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // sha256 of ip and user agent, tells anonymous viewers apart
+    fingerprint: {
+      type: String,
+      default: null,
+    },
+    // start of the VIEW_COUNT_WINDOW_MS window of the playback
+    window: {
+      type: Date,
+      required: true,
+    },
+    watchedSeconds: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // watchedSeconds relative to Video.duration (0 - 100),
+    // null when the duration of the video is unknown
+    watchPercentage: {
+      type: Number,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// one event per viewer, video and window, parallel reports cannot add a second one
+viewEventSchema.index(
+  { video: 1, viewer: 1, fingerprint: 1, window: 1 },
+  { unique: true }
+);
+
+// MongoDB removes raw events after VIEW_EVENT_RETENTION_DAYS
+viewEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: VIEW_EVENT_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+export const ViewEvent = mongoose.model("ViewEvent", viewEventSchema);
@@ -0,0 +1,50 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// Hourly rollup of the view events of a video
+// Trending and the creator dashboard read these instead of the raw events
+const viewStatSchema = new Schema({
+  video: {
+    type: Schema.Types.ObjectId,
+    ref: "Video",
+    required: true,
+  },
+  channel: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // start of the hour (UTC)
+  bucket: {
+    type: Date,
+    required: true,
+  },
+  views: {
+    type: Number,
+    default: 0,
+  },
+  watchedSeconds: {
+    type: Number,
+    default: 0,
+  },
+  // sum and count of the known watch percentages, average = sum / count
+  watchPercentageSum: {
+    type: Number,
+    default: 0,
+  },
+  watchPercentageCount: {
+    type: Number,
+    default: 0,
+  },
+});
+
+viewStatSchema.index({ video: 1, bucket: 1 }, { unique: true });
+// channel dashboard over a date range
+viewStatSchema.index({ channel: 1, bucket: 1 });
+// trending over the last hours / days
+viewStatSchema.index({ bucket: -1 });
+
+// Adds aggregatePaginate method for the trending listing
+viewStatSchema.plugin(mongooseAggregatePaginate);
+
+export const ViewStat = mongoose.model("ViewStat", viewStatSchema);
@@ -0,0 +1,64 @@
+import { Router } from "express";
+import {
+  getJobs,
+  getPlatformStats,
+  getUsers,
+  restoreVideo,
+  retryJob,
+  unpublishVideo,
+  updateUserRole,
+  updateUserStatus,
+} from "../controllers/admin.controller.js";
+import { authorize, verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+  validate,
+  validateObjectIds,
+} from "../middlewares/validate.middleware.js";
+import {
+  listJobsQuerySchema,
+  listUsersQuerySchema,
+  unpublishVideoSchema,
+  updateUserRoleSchema,
+  updateUserStatusSchema,
+} from "../validators/admin.validator.js";
+
+const router = Router();
+// every admin route needs a moderator or an admin
+router.use(verifyJWT, authorize("moderator", "admin"));
+// http://localhost:8000/api/v1/admin
+
+router.route("/stats").get(getPlatformStats);
+
+router.route("/users").get(validate({ query: listUsersQuerySchema }), getUsers);
+router
+  .route("/users/:userId/status")
+  .patch(
+    validateObjectIds("userId"),
+    validate({ body: updateUserStatusSchema }),
+    updateUserStatus
+  );
+router
+  .route("/users/:userId/role")
+  .patch(
+    authorize("admin"),
+    validateObjectIds("userId"),
+    validate({ body: updateUserRoleSchema }),
+    updateUserRole
+  );
+
+router
+  .route("/videos/:videoId/unpublish")
+  .patch(
+    validateObjectIds("videoId"),
+    validate({ body: unpublishVideoSchema }),
+    unpublishVideo
+  );
+router
+  .route("/videos/:videoId/restore")
+  .patch(validateObjectIds("videoId"), restoreVideo);
+
+// background jobs, ?status=dead is the dead-letter queue
+router.route("/jobs").get(validate({ query: listJobsQuerySchema }), getJobs);
+router.route("/jobs/:jobId/retry").post(validateObjectIds("jobId"), retryJob);
+
+export default router;
@@ -0,0 +1,52 @@
+import { Router } from "express";
+import {
+  addComment,
+  deleteComment,
+  getCommentReplies,
+  getVideoComments,
+  updateComment,
+} from "../controllers/comment.controller.js";
+import {
+  optionalVerifyJWT,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import {
+  validate,
+  validateObjectIds,
+} from "../middlewares/validate.middleware.js";
+import {
+  addCommentSchema,
+  updateCommentSchema,
+} from "../validators/comment.validator.js";
+import { paginationQuerySchema } from "../validators/common.validator.js";
+
+const router = Router();
+
+// reading comments is public, writing needs a logged in user
+router
+  .route("/:videoId")
+  .all(validateObjectIds("videoId"))
+  .get(
+    optionalVerifyJWT,
+    validate({ query: paginationQuerySchema }),
+    getVideoComments
+  )
+  .post(verifyJWT, validate({ body: addCommentSchema }), addComment);
+// http://localhost:8000/api/v1/comments/:videoId
+
+router
+  .route("/c/:commentId")
+  .all(validateObjectIds("commentId"))
+  .patch(verifyJWT, validate({ body: updateCommentSchema }), updateComment)
+  .delete(verifyJWT, deleteComment);
+
+router
+  .route("/c/:commentId/replies")
+  .get(
+    optionalVerifyJWT,
+    validateObjectIds("commentId"),
+    validate({ query: paginationQuerySchema }),
+    getCommentReplies
+  );
+
+export default router;
@@ -0,0 +1,16 @@
+import { Router } from "express";
+import { getChannelStats } from "../controllers/dashboard.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { channelStatsQuerySchema } from "../validators/dashboard.validator.js";
+
+const router = Router();
+// the dashboard shows the stats of the logged in user's own channel
+router.use(verifyJWT);
+// http://localhost:8000/api/v1/dashboard
+
+router
+  .route("/stats")
+  .get(validate({ query: channelStatsQuerySchema }), getChannelStats);
+
+export default router;
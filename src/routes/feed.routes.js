@@ -0,0 +1,32 @@
+import { Router } from "express";
+import {
+  getHomeFeed,
+  getSubscriptionFeed,
+} from "../controllers/feed.controller.js";
+import {
+  optionalVerifyJWT,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  cursorQuerySchema,
+  homeFeedQuerySchema,
+} from "../validators/feed.validator.js";
+
+const router = Router();
+
+// the home feed is public, logged in users get it personalized
+router
+  .route("/home")
+  .get(
+    optionalVerifyJWT,
+    validate({ query: homeFeedQuerySchema }),
+    getHomeFeed
+  );
+// http://localhost:8000/api/v1/feed/home
+
+router
+  .route("/subscriptions")
+  .get(verifyJWT, validate({ query: cursorQuerySchema }), getSubscriptionFeed);
+
+export default router;
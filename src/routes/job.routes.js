@@ -0,0 +1,13 @@
+import { Router } from "express";
+import { getJobStatus } from "../controllers/job.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validateObjectIds } from "../middlewares/validate.middleware.js";
+
+const router = Router();
+// jobs are only visible to the user they were enqueued for
+router.use(verifyJWT);
+// http://localhost:8000/api/v1/jobs
+
+router.route("/:jobId").get(validateObjectIds("jobId"), getJobStatus);
+
+export default router;
@@ -0,0 +1,35 @@
+import { Router } from "express";
+import {
+  getLikedVideos,
+  toggleCommentLike,
+  toggleTweetLike,
+  toggleVideoLike,
+} from "../controllers/like.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+  validate,
+  validateObjectIds,
+} from "../middlewares/validate.middleware.js";
+import { paginationQuerySchema } from "../validators/common.validator.js";
+
+const router = Router();
+
+// every like route needs a logged in user
+router.use(verifyJWT);
+
+router
+  .route("/toggle/v/:videoId")
+  .post(validateObjectIds("videoId"), toggleVideoLike);
+router
+  .route("/toggle/c/:commentId")
+  .post(validateObjectIds("commentId"), toggleCommentLike);
+router
+  .route("/toggle/t/:tweetId")
+  .post(validateObjectIds("tweetId"), toggleTweetLike);
+// http://localhost:8000/api/v1/likes/toggle/v/:videoId
+
+router
+  .route("/videos")
+  .get(validate({ query: paginationQuerySchema }), getLikedVideos);
+
+export default router;
@@ -0,0 +1,51 @@
+import { Router } from "express";
+import {
+  getNotificationPreferences,
+  getNotifications,
+  markAllNotificationsRead,
+  markNotification,
+  streamNotifications,
+  updateNotificationPreferences,
+} from "../controllers/notification.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+  validate,
+  validateObjectIds,
+} from "../middlewares/validate.middleware.js";
+import {
+  markNotificationSchema,
+  notificationPreferencesSchema,
+  notificationsQuerySchema,
+} from "../validators/notification.validator.js";
+
+const router = Router();
+// every notification route needs a logged in user
+router.use(verifyJWT);
+// http://localhost:8000/api/v1/notifications
+
+router
+  .route("/")
+  .get(validate({ query: notificationsQuerySchema }), getNotifications);
+
+// server-sent events, e.g. new EventSource("/api/v1/notifications/stream", { withCredentials: true })
+router.route("/stream").get(streamNotifications);
+
+router.route("/read-all").patch(markAllNotificationsRead);
+
+router
+  .route("/preferences")
+  .get(getNotificationPreferences)
+  .patch(
+    validate({ body: notificationPreferencesSchema }),
+    updateNotificationPreferences
+  );
+
+router
+  .route("/:notificationId")
+  .patch(
+    validateObjectIds("notificationId"),
+    validate({ body: markNotificationSchema }),
+    markNotification
+  );
+
+export default router;
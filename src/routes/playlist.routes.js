@@ -0,0 +1,68 @@
+import { Router } from "express";
+import {
+  addVideoToPlaylist,
+  createPlaylist,
+  deletePlaylist,
+  getPlaylistById,
+  getUserPlaylists,
+  moveVideoInPlaylist,
+  removeVideoFromPlaylist,
+  updatePlaylist,
+} from "../controllers/playlist.controller.js";
+import {
+  optionalVerifyJWT,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import {
+  validate,
+  validateObjectIds,
+} from "../middlewares/validate.middleware.js";
+import {
+  createPlaylistSchema,
+  moveVideoSchema,
+  updatePlaylistSchema,
+} from "../validators/playlist.validator.js";
+
+const router = Router();
+
+// public playlists can be read by anyone, private ones only by their owner
+router
+  .route("/")
+  .post(verifyJWT, validate({ body: createPlaylistSchema }), createPlaylist);
+// http://localhost:8000/api/v1/playlists
+
+router
+  .route("/:playlistId")
+  .all(validateObjectIds("playlistId"))
+  .get(optionalVerifyJWT, getPlaylistById)
+  .patch(verifyJWT, validate({ body: updatePlaylistSchema }), updatePlaylist)
+  .delete(verifyJWT, deletePlaylist);
+
+router
+  .route("/add/:videoId/:playlistId")
+  .patch(
+    verifyJWT,
+    validateObjectIds("videoId", "playlistId"),
+    addVideoToPlaylist
+  );
+router
+  .route("/remove/:videoId/:playlistId")
+  .patch(
+    verifyJWT,
+    validateObjectIds("videoId", "playlistId"),
+    removeVideoFromPlaylist
+  );
+router
+  .route("/move/:videoId/:playlistId")
+  .patch(
+    verifyJWT,
+    validateObjectIds("videoId", "playlistId"),
+    validate({ body: moveVideoSchema }),
+    moveVideoInPlaylist
+  );
+
+router
+  .route("/user/:userId")
+  .get(optionalVerifyJWT, validateObjectIds("userId"), getUserPlaylists);
+
+export default router;
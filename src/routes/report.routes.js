@@ -0,0 +1,57 @@
+import { Router } from "express";
+import {
+  createReport,
+  getReportQueue,
+  getTargetReports,
+  resolveTargetReports,
+  reviewTargetReports,
+} from "../controllers/report.controller.js";
+import { authorize, verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  createReportSchema,
+  reportQueueQuerySchema,
+  reportTargetParamsSchema,
+  resolveReportsSchema,
+} from "../validators/report.validator.js";
+
+const router = Router();
+
+// every report route needs a logged in user
+router.use(verifyJWT);
+// http://localhost:8000/api/v1/reports
+
+router.route("/").post(validate({ body: createReportSchema }), createReport);
+
+// moderation queue, moderators and admins only
+router
+  .route("/queue")
+  .get(
+    authorize("moderator", "admin"),
+    validate({ query: reportQueueQuerySchema }),
+    getReportQueue
+  );
+
+router
+  .route("/:targetType/:targetId")
+  .all(
+    authorize("moderator", "admin"),
+    validate({ params: reportTargetParamsSchema })
+  )
+  .get(getTargetReports);
+router
+  .route("/:targetType/:targetId/review")
+  .all(
+    authorize("moderator", "admin"),
+    validate({ params: reportTargetParamsSchema })
+  )
+  .patch(reviewTargetReports);
+router
+  .route("/:targetType/:targetId/resolve")
+  .all(
+    authorize("moderator", "admin"),
+    validate({ params: reportTargetParamsSchema })
+  )
+  .post(validate({ body: resolveReportsSchema }), resolveTargetReports);
+
+export default router;
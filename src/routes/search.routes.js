@@ -0,0 +1,22 @@
+import { Router } from "express";
+import {
+  getSearchSuggestions,
+  search,
+} from "../controllers/search.controller.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  searchQuerySchema,
+  searchSuggestionsQuerySchema,
+} from "../validators/search.validator.js";
+
+const router = Router();
+
+// search is public and only finds public content
+router.route("/").get(validate({ query: searchQuerySchema }), search);
+// http://localhost:8000/api/v1/search?q=
+
+router
+  .route("/suggestions")
+  .get(validate({ query: searchSuggestionsQuerySchema }), getSearchSuggestions);
+
+export default router;
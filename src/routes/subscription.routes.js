@@ -0,0 +1,34 @@
+import { Router } from "express";
+import {
+  getSubscribedChannels,
+  getUserChannelSubscribers,
+  toggleSubscription,
+} from "../controllers/subscription.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+  validate,
+  validateObjectIds,
+} from "../middlewares/validate.middleware.js";
+import { paginationQuerySchema } from "../validators/common.validator.js";
+
+const router = Router();
+
+// every subscription route needs a logged in user
+router.use(verifyJWT);
+
+router
+  .route("/c/:channelId")
+  .all(validateObjectIds("channelId"))
+  .get(validate({ query: paginationQuerySchema }), getUserChannelSubscribers)
+  .post(toggleSubscription);
+// http://localhost:8000/api/v1/subscriptions/c/:channelId
+
+router
+  .route("/u/:subscriberId")
+  .get(
+    validateObjectIds("subscriberId"),
+    validate({ query: paginationQuerySchema }),
+    getSubscribedChannels
+  );
+
+export default router;
@@ -0,0 +1,47 @@
+import { Router } from "express";
+import {
+  createTweet,
+  deleteTweet,
+  getSubscribedTweetsFeed,
+  getUserTweets,
+  updateTweet,
+} from "../controllers/tweet.controller.js";
+import {
+  optionalVerifyJWT,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import {
+  validate,
+  validateObjectIds,
+} from "../middlewares/validate.middleware.js";
+import { tweetSchema } from "../validators/tweet.validator.js";
+import { paginationQuerySchema } from "../validators/common.validator.js";
+
+const router = Router();
+
+router.route("/").post(verifyJWT, validate({ body: tweetSchema }), createTweet);
+// http://localhost:8000/api/v1/tweets
+
+router
+  .route("/feed")
+  .get(
+    verifyJWT,
+    validate({ query: paginationQuerySchema }),
+    getSubscribedTweetsFeed
+  );
+router
+  .route("/user/:userId")
+  .get(
+    optionalVerifyJWT,
+    validateObjectIds("userId"),
+    validate({ query: paginationQuerySchema }),
+    getUserTweets
+  );
+
+router
+  .route("/:tweetId")
+  .all(validateObjectIds("tweetId"))
+  .patch(verifyJWT, validate({ body: tweetSchema }), updateTweet)
+  .delete(verifyJWT, deleteTweet);
+
+export default router;
@@ -0,0 +1,48 @@
+import { Router } from "express";
+import {
+  cancelUpload,
+  createUpload,
+  finalizeUpload,
+  getUpload,
+  getUploadProgress,
+  uploadChunk,
+} from "../controllers/upload.controller.js";
+import {
+  requireVerifiedEmail,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import {
+  validate,
+  validateObjectIds,
+} from "../middlewares/validate.middleware.js";
+import {
+  createUploadSchema,
+  finalizeUploadSchema,
+} from "../validators/upload.validator.js";
+
+const router = Router();
+
+// resumable uploads, same requirements as publishing a video
+router.use(verifyJWT, requireVerifiedEmail);
+// http://localhost:8000/api/v1/uploads
+
+router.route("/").post(validate({ body: createUploadSchema }), createUpload);
+
+// HEAD: progress (Upload-Offset header), PATCH: next chunk
+router
+  .route("/:uploadId")
+  .all(validateObjectIds("uploadId"))
+  .head(getUploadProgress)
+  .get(getUpload)
+  .patch(uploadChunk)
+  .delete(cancelUpload);
+
+router
+  .route("/:uploadId/finalize")
+  .post(
+    validateObjectIds("uploadId"),
+    validate({ body: finalizeUploadSchema }),
+    finalizeUpload
+  );
+
+export default router;
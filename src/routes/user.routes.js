@@ -1,12 +1,82 @@
 import { Router } from "express";
-import { loginUser, logoutUser, refreshAccessToken, registerUser } from "../controllers/user.controller.js";
+import {
+  changeCurrentPassword,
+  clearWatchHistory,
+  forgotPasswordRequest,
+  getActiveSessions,
+  getCurrentUser,
+  getUserChannelProfile,
+  getWatchHistory,
+  loginUser,
+  logoutAllSessions,
+  logoutUser,
+  refreshAccessToken,
+  registerUser,
+  removeFromWatchHistory,
+  resendEmailVerification,
+  resetForgottenPassword,
+  revokeSession,
+  updateAccountDetails,
+  updateUserAvatar,
+  updateUserCoverImage,
+  verifyEmail,
+} from "../controllers/user.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {
+  optionalVerifyJWT,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import jwt from "jsonwebtoken";
+import {
+  AUTH_RATE_LIMIT_PER_ACCOUNT,
+  AUTH_RATE_LIMIT_PER_IP,
+  AUTH_RATE_LIMIT_WINDOW_MS,
+} from "../constants.js";
+import {
+  validate,
+  validateObjectIds,
+} from "../middlewares/validate.middleware.js";
+import {
+  changePasswordSchema,
+  channelProfileParamsSchema,
+  forgotPasswordSchema,
+  historyVideoParamsSchema,
+  loginUserSchema,
+  refreshTokenSchema,
+  registerUserSchema,
+  resetPasswordParamsSchema,
+  resetPasswordSchema,
+  updateAccountSchema,
+  verifyEmailParamsSchema,
+} from "../validators/user.validator.js";
 
 const router = Router();
 
+// brute-force protection of the auth routes
+// every route is limited per client ip and per account (login name, email or refresh token owner)
+const authRateLimit = (prefix, keyGenerator) =>
+  rateLimit({
+    prefix,
+    keyGenerator,
+    windowMs: AUTH_RATE_LIMIT_WINDOW_MS,
+    max: keyGenerator ? AUTH_RATE_LIMIT_PER_ACCOUNT : AUTH_RATE_LIMIT_PER_IP,
+  });
+
+// only verified refresh tokens count, forged ones cannot use up the limit of another user
+const refreshTokenOwner = (req) => {
+  try {
+    const token = req.cookies?.refreshToken || req.body?.refreshToken;
+    return jwt.verify(token, process.env.REFRESH_TOKEN_SECRET)?._id;
+  } catch (error) {
+    return null;
+  }
+};
+
 // add a middleware before executing registerUser
+// validate runs after multer, multipart fields are only in req.body once multer parsed them
 router.route("/register").post(
+  authRateLimit("register-ip"),
   upload.fields([
     {
       name: "avatar",
@@ -17,6 +87,8 @@ router.route("/register").post(
       maxCount: 1,
     },
   ]),
+  validate({ body: registerUserSchema }),
+  authRateLimit("register-account", (req) => req.body.email),
   registerUser
 );
 // http://localhost:8000/api/v1/users/register
@@ -24,11 +96,86 @@ router.route("/register").post(
 // router.route("/login").post(registerUser);
 // http://localhost:8000/user/login
 
+router.route("/login").post(
+  authRateLimit("login-ip"),
+  validate({ body: loginUserSchema }),
+  authRateLimit("login-account", (req) => req.body.username || req.body.email),
+  loginUser
+);
 
-router.route("/login").post(loginUser)
+// account recovery and email verification
+router
+  .route("/forgot-password")
+  .post(validate({ body: forgotPasswordSchema }), forgotPasswordRequest);
+router
+  .route("/reset-password/:resetToken")
+  .post(
+    validate({ params: resetPasswordParamsSchema, body: resetPasswordSchema }),
+    resetForgottenPassword
+  );
+router
+  .route("/verify-email/:verificationToken")
+  .get(validate({ params: verifyEmailParamsSchema }), verifyEmail);
+router
+  .route("/resend-email-verification")
+  .post(verifyJWT, resendEmailVerification);
 
 //secured routes
-router.route("/logout").post(verifyJWT, logoutUser)
-router.route("/refresh-token").post(refreshAccessToken)
+router.route("/logout").post(verifyJWT, logoutUser);
+router.route("/logout-all").post(verifyJWT, logoutAllSessions);
+router.route("/sessions").get(verifyJWT, getActiveSessions);
+router
+  .route("/sessions/:sessionId")
+  .delete(verifyJWT, validateObjectIds("sessionId"), revokeSession);
+router
+  .route("/refresh-token")
+  .post(
+    authRateLimit("refresh-ip"),
+    validate({ body: refreshTokenSchema }),
+    authRateLimit("refresh-account", refreshTokenOwner),
+    refreshAccessToken
+  );
+router
+  .route("/change-password")
+  .post(
+    verifyJWT,
+    validate({ body: changePasswordSchema }),
+    changeCurrentPassword
+  );
+router.route("/current-user").get(verifyJWT, getCurrentUser);
+router
+  .route("/update-account")
+  .patch(
+    verifyJWT,
+    validate({ body: updateAccountSchema }),
+    updateAccountDetails
+  );
+router
+  .route("/avatar")
+  .patch(verifyJWT, upload.single("avatar"), updateUserAvatar);
+router
+  .route("/cover-image")
+  .patch(verifyJWT, upload.single("coverImage"), updateUserCoverImage);
+
+// public route, logged in users additionally get their isSubscribed flag
+router
+  .route("/c/:username")
+  .get(
+    optionalVerifyJWT,
+    validate({ params: channelProfileParamsSchema }),
+    getUserChannelProfile
+  );
+
+router
+  .route("/history")
+  .get(verifyJWT, getWatchHistory)
+  .delete(verifyJWT, clearWatchHistory);
+router
+  .route("/history/:videoId")
+  .delete(
+    verifyJWT,
+    validate({ params: historyVideoParamsSchema }),
+    removeFromWatchHistory
+  );
 
 export default router;
@@ -0,0 +1,120 @@
+import { Router } from "express";
+import {
+  deleteVideo,
+  getAllVideos,
+  getTrendingVideos,
+  getVideoById,
+  getVideoStreamUrl,
+  publishAVideo,
+  recordVideoWatch,
+  streamVideo,
+  togglePublishStatus,
+  updateVideo,
+} from "../controllers/video.controller.js";
+import { upload } from "../middlewares/multer.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import {
+  optionalVerifyJWT,
+  requireVerifiedEmail,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import {
+  validate,
+  validateObjectIds,
+} from "../middlewares/validate.middleware.js";
+import {
+  getAllVideosQuerySchema,
+  publishVideoSchema,
+  recordVideoWatchSchema,
+  streamVideoQuerySchema,
+  trendingVideosQuerySchema,
+  updateVideoSchema,
+} from "../validators/video.validator.js";
+import {
+  VIEW_RATE_LIMIT_PER_IP,
+  VIEW_RATE_LIMIT_WINDOW_MS,
+} from "../constants.js";
+
+const router = Router();
+
+// reading videos is public, everything else needs a logged in user
+// uploading also needs a verified email
+router
+  .route("/")
+  .get(
+    optionalVerifyJWT,
+    validate({ query: getAllVideosQuerySchema }),
+    getAllVideos
+  )
+  .post(
+    verifyJWT,
+    requireVerifiedEmail,
+    upload.fields([
+      {
+        name: "videoFile",
+        maxCount: 1,
+      },
+      {
+        name: "thumbnail",
+        maxCount: 1,
+      },
+    ]),
+    validate({ body: publishVideoSchema }),
+    publishAVideo
+  );
+// http://localhost:8000/api/v1/videos
+
+// declared before /:videoId so "trending" is not taken for a video id
+router
+  .route("/trending")
+  .get(
+    optionalVerifyJWT,
+    validate({ query: trendingVideosQuerySchema }),
+    getTrendingVideos
+  );
+
+router
+  .route("/:videoId")
+  .all(validateObjectIds("videoId"))
+  .get(optionalVerifyJWT, getVideoById)
+  .patch(
+    verifyJWT,
+    upload.single("thumbnail"),
+    validate({ body: updateVideoSchema }),
+    updateVideo
+  )
+  .delete(verifyJWT, deleteVideo);
+
+// locally stored media, see streamVideo
+// the stream itself also accepts a signed ?token= instead of a login
+router
+  .route("/:videoId/stream")
+  .get(
+    optionalVerifyJWT,
+    validateObjectIds("videoId"),
+    validate({ query: streamVideoQuerySchema }),
+    streamVideo
+  );
+router
+  .route("/:videoId/stream-url")
+  .get(optionalVerifyJWT, validateObjectIds("videoId"), getVideoStreamUrl);
+
+// watch progress reports of the player, anonymous viewers included
+// limited per client ip, anonymous views could otherwise be inflated at will
+router.route("/:videoId/views").post(
+  rateLimit({
+    prefix: "video-views-ip",
+    windowMs: VIEW_RATE_LIMIT_WINDOW_MS,
+    max: VIEW_RATE_LIMIT_PER_IP,
+  }),
+  optionalVerifyJWT,
+  validateObjectIds("videoId"),
+  validate({ body: recordVideoWatchSchema }),
+  recordVideoWatch
+);
+
+router
+  .route("/toggle/publish/:videoId")
+  .patch(verifyJWT, validateObjectIds("videoId"), togglePublishStatus);
+
+export default router;
@@ -0,0 +1,132 @@
+// Reusable aggregation pipeline stages shared by the controllers
+
+// Replaces a user id field with a short public summary of that user
+// (username, fullName, avatar), e.g. the owner of a video
+// @param {string} field - name of the field holding the user id
+// @returns {Array<Object>} - $lookup + $addFields stages
+const lookupUserSummary = (field = "owner") => [
+  {
+    $lookup: {
+      from: "users",
+      localField: field,
+      foreignField: "_id",
+      as: field,
+      pipeline: [
+        {
+          $project: {
+            username: 1,
+            fullName: 1,
+            avatar: 1,
+          },
+        },
+      ],
+    },
+  },
+  {
+    $addFields: {
+      [field]: {
+        $first: `$${field}`,
+      },
+    },
+  },
+];
+
+// Adds likesCount and isLiked to each document
+// @param {string} target - field of the Like model that points at the document
+//                          ("video", "comment" or "tweet")
+// @param {ObjectId} [userId] - current user, isLiked is false when missing
+// @returns {Array<Object>} - $lookup + $addFields + $project stages
+const lookupLikes = (target, userId) => [
+  {
+    $lookup: {
+      from: "likes",
+      localField: "_id",
+      foreignField: target,
+      as: "likesInfo",
+      pipeline: [{ $count: "count" }],
+    },
+  },
+  {
+    $lookup: {
+      from: "likes",
+      localField: "_id",
+      foreignField: target,
+      as: "viewerLike",
+      // null never matches likedBy, so anonymous callers get isLiked: false
+      pipeline: [{ $match: { likedBy: userId || null } }, { $limit: 1 }],
+    },
+  },
+  {
+    $addFields: {
+      likesCount: {
+        $ifNull: [{ $first: "$likesInfo.count" }, 0],
+      },
+      isLiked: {
+        $gt: [{ $size: "$viewerLike" }, 0],
+      },
+    },
+  },
+  {
+    $project: {
+      likesInfo: 0,
+      viewerLike: 0,
+    },
+  },
+];
+
+// Replaces an array of video ids with the videos themselves (and their owners),
+// keeping the order of the array, which $lookup alone does not do
+// Deleted videos are dropped, unpublished ones are only kept for their owner
+// @param {string} field - name of the array field holding the video ids
+// @param {ObjectId} [userId] - current user
+// @returns {Array<Object>} - $lookup + $addFields + $project stages
+const lookupVideosInOrder = (field, userId) => [
+  {
+    $lookup: {
+      from: "videos",
+      localField: field,
+      foreignField: "_id",
+      as: "lookedUpVideos",
+      pipeline: [
+        {
+          $match: {
+            $or: userId
+              ? [{ isPublished: true }, { owner: userId }]
+              : [{ isPublished: true }],
+          },
+        },
+        ...lookupUserSummary("owner"),
+      ],
+    },
+  },
+  {
+    $addFields: {
+      [field]: {
+        $filter: {
+          input: {
+            $map: {
+              input: { $ifNull: [`$${field}`, []] },
+              as: "videoId",
+              in: {
+                $first: {
+                  $filter: {
+                    input: "$lookedUpVideos",
+                    cond: { $eq: ["$$this._id", "$$videoId"] },
+                  },
+                },
+              },
+            },
+          },
+          cond: { $ne: [{ $ifNull: ["$$this", null] }, null] },
+        },
+      },
+    },
+  },
+  {
+    $project: {
+      lookedUpVideos: 0,
+    },
+  },
+];
+
+export { lookupUserSummary, lookupLikes, lookupVideosInOrder };
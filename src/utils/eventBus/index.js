@@ -0,0 +1,31 @@
+import { memoryBus } from "./memory.bus.js";
+
+// Event buses used to fan out domain events (e.g. "subscription.created")
+// and to deliver live notifications
+// Every bus implements the same interface:
+// - publish(event, payload) -> Promise, payload must be JSON serializable
+// - subscribe(event, handler) -> unsubscribe function
+//   handler(payload) may be async, its errors are logged and swallowed
+// A broker (e.g. Redis pub/sub) can be added here so events cross instances
+const buses = {
+  memory: memoryBus,
+};
+
+// The bus is picked with EVENT_BUS (memory by default)
+const getEventBus = () => {
+  const name = process.env.EVENT_BUS || "memory";
+  const bus = buses[name];
+  if (!bus) {
+    throw new Error(
+      `Unknown EVENT_BUS "${name}", expected one of: ${Object.keys(buses).join(", ")}`
+    );
+  }
+  return bus;
+};
+
+// Lets a custom bus be plugged in at startup, e.g. registerEventBus("redis", redisBus)
+const registerEventBus = (name, bus) => {
+  buses[name] = bus;
+};
+
+export { getEventBus, registerEventBus };
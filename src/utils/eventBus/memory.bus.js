@@ -0,0 +1,28 @@
+import { EventEmitter } from "events";
+
+// In-process event bus, events only reach subscribers of the same process
+// (use another bus when the API runs on several instances)
+
+const emitter = new EventEmitter();
+// every open notification stream is a listener, there is no sensible maximum
+emitter.setMaxListeners(0);
+
+export const memoryBus = {
+  async publish(event, payload) {
+    emitter.emit(event, payload);
+  },
+
+  subscribe(event, handler) {
+    // a failing subscriber must not break the publisher or the other subscribers
+    const listener = async (payload) => {
+      try {
+        await handler(payload);
+      } catch (error) {
+        console.error(`Event bus: subscriber of "${event}" failed`, error);
+      }
+    };
+
+    emitter.on(event, listener);
+    return () => emitter.off(event, listener);
+  },
+};
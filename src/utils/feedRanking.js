@@ -0,0 +1,164 @@
+import { Video } from "../models/video.model.js";
+import {
+  FEED_CANDIDATE_LIMIT,
+  FEED_RECENCY_HALF_LIFE_HOURS,
+  FEED_WEIGHTS,
+} from "../constants.js";
+import { lookupLikes } from "./aggregations.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How much each channel is part of a watch history, between 0 and 1
+// e.g. 3 of 10 watched videos from a channel -> { channel, affinity: 0.3 }
+// @param {Array<ObjectId>} watchHistory - video ids, see User.watchHistory
+// @returns {Promise<Array<{channel: ObjectId, affinity: number}>>}
+const getChannelAffinities = async (watchHistory = []) => {
+  if (!watchHistory.length) return [];
+
+  const channels = await Video.aggregate([
+    { $match: { _id: { $in: watchHistory } } },
+    { $group: { _id: "$owner", watched: { $sum: 1 } } },
+  ]);
+
+  return channels.map(({ _id, watched }) => ({
+    channel: _id,
+    affinity: watched / watchHistory.length,
+  }));
+};
+
+// Ranks videos with a score built from recency, views, likes and channel affinity
+// Only the FEED_CANDIDATE_LIMIT newest videos of the $match are ranked
+// @param {Object} match - which videos may be ranked
+// @param {Object} [options] - { userId, affinities, weights }
+//   userId: current user (isLiked), affinities: see getChannelAffinities
+// @returns {Array<Object>} - stages adding likesCount, isLiked and score,
+//   to be sorted by { score: -1 }
+const rankVideosStages = (
+  match,
+  { userId, affinities = [], weights = FEED_WEIGHTS } = {}
+) => [
+  { $match: match },
+  { $sort: { createdAt: -1, _id: -1 } },
+  { $limit: FEED_CANDIDATE_LIMIT },
+  ...lookupLikes("video", userId),
+  {
+    $addFields: {
+      ageHours: {
+        $divide: [{ $subtract: ["$$NOW", "$createdAt"] }, HOUR_MS],
+      },
+      affinity: {
+        $ifNull: [
+          {
+            $first: {
+              $map: {
+                input: {
+                  $filter: {
+                    input: affinities,
+                    cond: { $eq: ["$$this.channel", "$owner"] },
+                  },
+                },
+                in: "$$this.affinity",
+              },
+            },
+          },
+          0,
+        ],
+      },
+    },
+  },
+  {
+    $addFields: {
+      score: {
+        $add: [
+          {
+            $multiply: [
+              weights.recency,
+              {
+                $pow: [
+                  0.5,
+                  { $divide: ["$ageHours", FEED_RECENCY_HALF_LIFE_HOURS] },
+                ],
+              },
+            ],
+          },
+          {
+            $multiply: [
+              weights.views,
+              { $log10: { $add: [{ $ifNull: ["$views", 0] }, 1] } },
+            ],
+          },
+          {
+            $multiply: [
+              weights.likes,
+              { $log10: { $add: ["$likesCount", 1] } },
+            ],
+          },
+          { $multiply: [weights.affinity, "$affinity"] },
+        ],
+      },
+    },
+  },
+  {
+    $project: {
+      ageHours: 0,
+      affinity: 0,
+    },
+  },
+];
+
+// Ranks the videos watched within a time window, for ViewStat.aggregate
+// Each view counts half as much every quarter of the window it is old,
+// so a video that is watched right now beats one that was watched at the start
+// @param {number} windowMs - e.g. TRENDING_WINDOWS["24h"]
+// @param {Object} [options] - { userId } current user (isLiked)
+// @returns {Array<Object>} - stages producing published videos with
+//   windowViews, likesCount, isLiked and trendingScore,
+//   to be sorted by { trendingScore: -1 }
+const trendingVideosStages = (windowMs, { userId } = {}) => [
+  { $match: { bucket: { $gte: new Date(Date.now() - windowMs) } } },
+  {
+    $group: {
+      _id: "$video",
+      windowViews: { $sum: "$views" },
+      trendingScore: {
+        $sum: {
+          $multiply: [
+            "$views",
+            {
+              $pow: [
+                0.5,
+                {
+                  $divide: [{ $subtract: ["$$NOW", "$bucket"] }, windowMs / 4],
+                },
+              ],
+            },
+          ],
+        },
+      },
+    },
+  },
+  {
+    $lookup: {
+      from: "videos",
+      localField: "_id",
+      foreignField: "_id",
+      as: "video",
+      pipeline: [{ $match: { isPublished: true } }],
+    },
+  },
+  // deleted and unpublished videos do not trend
+  { $unwind: "$video" },
+  {
+    $replaceRoot: {
+      newRoot: {
+        $mergeObjects: [
+          "$video",
+          { windowViews: "$windowViews", trendingScore: "$trendingScore" },
+        ],
+      },
+    },
+  },
+  ...lookupLikes("video", userId),
+];
+
+export { getChannelAffinities, rankVideosStages, trendingVideosStages };
@@ -0,0 +1,156 @@
+import fs from "fs";
+
+// Detects file types from their content (magic bytes) instead of trusting
+// the extension or the Content-Type sent by the client
+
+// Enough to find the size of a JPEG behind large EXIF / ICC segments
+const HEADER_BYTES = 256 * 1024;
+
+// Reads the first bytes of a file
+const readHeader = async (filePath, length = HEADER_BYTES) => {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (buffer, start, end) =>
+  buffer.length >= end ? buffer.toString("latin1", start, end) : "";
+
+// Major brands of ISO base media files that are videos
+// The same container also holds HEIC / AVIF images (heic, avif, mif1 ...)
+// and M4A audio ("M4A "), which are not accepted as videos
+const MP4_VIDEO_BRANDS = [
+  "isom",
+  "iso2",
+  "iso4",
+  "iso5",
+  "iso6",
+  "mp41",
+  "mp42",
+  "avc1",
+  "dash",
+  "mmp4",
+  "MSNV",
+  "M4V ",
+  "M4VH",
+  "M4VP",
+];
+
+// @param {Buffer} buffer - first bytes of the file
+// @returns {{kind: "image"|"video", mime: string, extension: string}|null}
+const detectFileType = (buffer) => {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    return { kind: "image", mime: "image/jpeg", extension: ".jpg" };
+  }
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return { kind: "image", mime: "image/png", extension: ".png" };
+  }
+  if (["GIF87a", "GIF89a"].includes(ascii(buffer, 0, 6))) {
+    return { kind: "image", mime: "image/gif", extension: ".gif" };
+  }
+  if (ascii(buffer, 0, 4) === "RIFF" && ascii(buffer, 8, 12) === "WEBP") {
+    return { kind: "image", mime: "image/webp", extension: ".webp" };
+  }
+
+  // ISO base media (mp4, m4v, mov): size, then "ftyp" and the major brand
+  if (ascii(buffer, 4, 8) === "ftyp") {
+    const brand = ascii(buffer, 8, 12);
+    if (brand === "qt  ") {
+      return { kind: "video", mime: "video/quicktime", extension: ".mov" };
+    }
+    if (MP4_VIDEO_BRANDS.includes(brand)) {
+      return { kind: "video", mime: "video/mp4", extension: ".mp4" };
+    }
+    return null;
+  }
+  // Matroska / WebM (EBML header), WebM declares the "webm" doc type
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return buffer.subarray(0, 64).includes("webm")
+      ? { kind: "video", mime: "video/webm", extension: ".webm" }
+      : { kind: "video", mime: "video/x-matroska", extension: ".mkv" };
+  }
+  if (ascii(buffer, 0, 4) === "RIFF" && ascii(buffer, 8, 12) === "AVI ") {
+    return { kind: "video", mime: "video/x-msvideo", extension: ".avi" };
+  }
+
+  return null;
+};
+
+// Finds the size in the first SOF (start of frame) segment of a JPEG
+const getJpegDimensions = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // SOF0 - SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      ![0xc4, 0xc8, 0xcc].includes(marker)
+    ) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+      };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+const getWebpDimensions = (buffer) => {
+  const format = ascii(buffer, 12, 16);
+  if (format === "VP8 " && buffer.length >= 30) {
+    return {
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+    };
+  }
+  if (format === "VP8L" && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >> 14) & 0x3fff) + 1,
+    };
+  }
+  if (format === "VP8X" && buffer.length >= 30) {
+    return {
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1,
+    };
+  }
+  return null;
+};
+
+// @param {Buffer} buffer - first bytes of the file
+// @param {string} mime - type returned by detectFileType
+// @returns {{width: number, height: number}|null} null when the size cannot be read
+const getImageDimensions = (buffer, mime) => {
+  switch (mime) {
+    case "image/png":
+      return buffer.length >= 24
+        ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+        : null;
+    case "image/gif":
+      return buffer.length >= 10
+        ? { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) }
+        : null;
+    case "image/jpeg":
+      return getJpegDimensions(buffer);
+    case "image/webp":
+      return getWebpDimensions(buffer);
+    default:
+      return null;
+  }
+};
+
+export { readHeader, detectFileType, getImageDimensions };
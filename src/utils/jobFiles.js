@@ -0,0 +1,54 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { uploadFile } from "./storage/index.js";
+
+// Files handed from a request to a background job (e.g. a video to process)
+// They are kept until the job succeeds, so a retry still has them
+// A worker running on another machine needs this directory shared with the API
+const getJobFilesDir = () =>
+  path.resolve(process.env.JOB_FILES_DIR || "temp/jobs");
+
+// Moves a temp file of the request (see multer.middleware.js) to the job files
+// so it outlives the request and the temp file sweeper
+// @returns {Promise<string>} path of the staged file
+const stageJobFile = async (localPath) => {
+  const dir = getJobFilesDir();
+  await fs.promises.mkdir(dir, { recursive: true });
+  const stagedPath = path.join(
+    dir,
+    `${crypto.randomUUID()}${path.extname(localPath).toLowerCase()}`
+  );
+
+  try {
+    await fs.promises.rename(localPath, stagedPath);
+  } catch (error) {
+    // EXDEV - the directories are on different devices, rename cannot cross them
+    if (error.code !== "EXDEV") throw error;
+    await fs.promises.copyFile(localPath, stagedPath);
+    await fs.promises.rm(localPath, { force: true });
+  }
+
+  return stagedPath;
+};
+
+// Uploads a staged file to storage without losing it
+// (storage drivers remove the file they upload, so a copy is uploaded)
+// @returns {Promise<Object|null>} see uploadFile
+const uploadStagedFile = async (stagedPath, options) => {
+  const copyPath = path.join(
+    path.dirname(stagedPath),
+    `${crypto.randomUUID()}${path.extname(stagedPath)}`
+  );
+  await fs.promises.copyFile(stagedPath, copyPath);
+  return uploadFile(copyPath, options);
+};
+
+const removeStagedFiles = (...stagedPaths) =>
+  Promise.all(
+    stagedPaths
+      .filter(Boolean)
+      .map((stagedPath) => fs.promises.rm(stagedPath, { force: true }))
+  );
+
+export { getJobFilesDir, stageJobFile, uploadStagedFile, removeStagedFiles };
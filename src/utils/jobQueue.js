@@ -0,0 +1,261 @@
+import crypto from "crypto";
+import os from "os";
+import { Job } from "../models/job.model.js";
+import {
+  JOB_BACKOFF_BASE_MS,
+  JOB_BACKOFF_MAX_MS,
+  JOB_CONCURRENCY,
+  JOB_MAX_ATTEMPTS,
+  JOB_POLL_INTERVAL_MS,
+  JOB_VISIBILITY_TIMEOUT_MS,
+} from "../constants.js";
+
+// Mongo backed job queue
+// - enqueueJob() stores a job, any worker connected to the same database may run it
+// - a worker claims a due job atomically and holds it until lockedUntil (visibility timeout),
+//   the lock is extended while the handler runs; a job whose worker died is claimed again
+// - a failed job is retried with exponential backoff, after maxAttempts it becomes
+//   "dead" (the dead-letter queue) until it is retried by hand (retryDeadJob)
+
+// name -> { handler, maxAttempts, timeoutMs, onDead }
+const definitions = new Map();
+
+/**
+ * @description Registers the handler of a job type
+ * @function defineJob
+ * @param {string} name - job type, e.g. "processVideo"
+ * @param {Function} handler - async (payload, job) => result, throws to fail the attempt
+ * @param {Object} [options] - { maxAttempts, timeoutMs, onDead }
+ *   onDead: async (payload, error) called when the job goes to the dead-letter queue
+ *
+ * Handlers may run more than once for the same job (retries, expired locks),
+ * so they have to be idempotent
+ */
+const defineJob = (
+  name,
+  handler,
+  {
+    maxAttempts = JOB_MAX_ATTEMPTS,
+    timeoutMs = JOB_VISIBILITY_TIMEOUT_MS,
+    onDead,
+  } = {}
+) => {
+  definitions.set(name, { handler, maxAttempts, timeoutMs, onDead });
+};
+
+// Stores a job for the workers
+// @param {Object} [options] - { owner, delayMs }
+// @returns {Promise<Object>} the Job document
+const enqueueJob = (name, payload, { owner = null, delayMs = 0 } = {}) => {
+  const definition = definitions.get(name);
+  if (!definition) {
+    throw new Error(`Unknown job "${name}", define it with defineJob first`);
+  }
+
+  return Job.create({
+    name,
+    payload,
+    owner,
+    maxAttempts: definition.maxAttempts,
+    timeoutMs: definition.timeoutMs,
+    runAt: new Date(Date.now() + delayMs),
+  });
+};
+
+// Wait before retry n (1 based), doubled on every retry, +-20% so that
+// jobs failing together do not all come back at the same moment
+const getBackoffMs = (attempt) => {
+  const backoff = Math.min(
+    JOB_BACKOFF_BASE_MS * 2 ** (attempt - 1),
+    JOB_BACKOFF_MAX_MS
+  );
+  return Math.round(backoff * (0.8 + Math.random() * 0.4));
+};
+
+// Takes the next due job for the worker, null when there is none
+// Jobs whose lock expired (their worker died) are due again, unless they used up their attempts
+const claimJob = (workerId) =>
+  Job.findOneAndUpdate(
+    {
+      name: { $in: [...definitions.keys()] },
+      $or: [
+        { status: "queued", runAt: { $lte: new Date() } },
+        {
+          status: "active",
+          lockedUntil: { $lte: new Date() },
+          $expr: { $lt: ["$attempts", "$maxAttempts"] },
+        },
+      ],
+    },
+    // an update pipeline, lockedUntil depends on the timeoutMs of each job
+    [
+      {
+        $set: {
+          status: "active",
+          lockedBy: workerId,
+          lockedUntil: { $add: ["$$NOW", "$timeoutMs"] },
+          attempts: { $add: ["$attempts", 1] },
+        },
+      },
+    ],
+    { sort: { runAt: 1 }, new: true }
+  );
+
+// Moves a job to the dead-letter queue and runs the onDead hook of its type
+const buryJob = async (job, filter, error) => {
+  const buried = await Job.findOneAndUpdate(
+    { _id: job._id, ...filter },
+    {
+      status: "dead",
+      lockedBy: null,
+      lockedUntil: null,
+      lastError: error.message,
+    },
+    { new: true }
+  );
+  if (!buried) return;
+
+  try {
+    await definitions.get(job.name)?.onDead?.(job.payload, error);
+  } catch (hookError) {
+    console.error(`Job ${job._id} (${job.name}): onDead failed`, hookError);
+  }
+};
+
+// Jobs whose worker died during their last attempt go to the dead-letter queue
+const buryExpiredJobs = async () => {
+  const expired = await Job.find({
+    name: { $in: [...definitions.keys()] },
+    status: "active",
+    lockedUntil: { $lte: new Date() },
+    $expr: { $gte: ["$attempts", "$maxAttempts"] },
+  });
+
+  for (const job of expired) {
+    await buryJob(
+      job,
+      { status: "active", lockedBy: job.lockedBy },
+      new Error("Visibility timeout exceeded on the last attempt")
+    );
+  }
+};
+
+// Runs one attempt of a claimed job and records its outcome
+// Every update checks that the worker still holds the job, a worker that
+// lost its lock (timeout) must not overwrite the attempt of the next worker
+const runJob = async (job, workerId) => {
+  const { handler } = definitions.get(job.name);
+  const held = { status: "active", lockedBy: workerId };
+
+  const heartbeat = setInterval(
+    () =>
+      Job.updateOne(
+        { _id: job._id, ...held },
+        { lockedUntil: new Date(Date.now() + job.timeoutMs) }
+      ).catch((error) =>
+        console.error(`Job ${job._id}: lock could not be extended`, error)
+      ),
+    job.timeoutMs / 2
+  );
+
+  try {
+    const result = await handler(job.payload, job);
+    await Job.updateOne(
+      { _id: job._id, ...held },
+      {
+        status: "completed",
+        result,
+        completedAt: new Date(),
+        lockedBy: null,
+        lockedUntil: null,
+      }
+    );
+  } catch (error) {
+    console.error(
+      `Job ${job._id} (${job.name}) failed, attempt ${job.attempts} of ${job.maxAttempts}`,
+      error
+    );
+
+    if (job.attempts >= job.maxAttempts) {
+      await buryJob(job, held, error);
+    } else {
+      await Job.updateOne(
+        { _id: job._id, ...held },
+        {
+          status: "queued",
+          runAt: new Date(Date.now() + getBackoffMs(job.attempts)),
+          lastError: error.message,
+          lockedBy: null,
+          lockedUntil: null,
+        }
+      );
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * @description Starts a worker that runs the defined jobs of this process
+ * @function startJobWorker
+ * @param {Object} [options] - { concurrency, pollIntervalMs }
+ * @returns {{ workerId: string, stop: Function }} stop() waits for the running jobs
+ *
+ * Runs inside the API (see index.js) or on its own (see worker.js),
+ * any number of workers can share the queue
+ */
+const startJobWorker = ({
+  concurrency = JOB_CONCURRENCY,
+  pollIntervalMs = JOB_POLL_INTERVAL_MS,
+} = {}) => {
+  const workerId = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+  const running = new Set();
+  let polling = false;
+  let stopped = false;
+
+  // claims jobs until the worker is busy or the queue has nothing due
+  const poll = async () => {
+    if (polling || stopped) return;
+    polling = true;
+    try {
+      await buryExpiredJobs();
+      while (!stopped && running.size < concurrency) {
+        const job = await claimJob(workerId);
+        if (!job) break;
+
+        const run = runJob(job, workerId).finally(() => {
+          running.delete(run);
+          // a free slot, the next job does not have to wait for the interval
+          poll();
+        });
+        running.add(run);
+      }
+    } catch (error) {
+      console.error("Job worker: polling failed", error);
+    } finally {
+      polling = false;
+    }
+  };
+
+  const timer = setInterval(poll, pollIntervalMs);
+  poll();
+
+  const stop = async () => {
+    stopped = true;
+    clearInterval(timer);
+    await Promise.allSettled([...running]);
+  };
+
+  return { workerId, stop };
+};
+
+// Puts a job of the dead-letter queue back in the queue with fresh attempts
+// @returns {Promise<Object|null>} the job, null when it is not dead
+const retryDeadJob = (jobId) =>
+  Job.findOneAndUpdate(
+    { _id: jobId, status: "dead" },
+    { status: "queued", attempts: 0, runAt: new Date() },
+    { new: true }
+  );
+
+export { defineJob, enqueueJob, startJobWorker, retryDeadJob, getBackoffMs };
@@ -0,0 +1,50 @@
+import {
+  LOGIN_FAILURE_WINDOW_MS,
+  LOGIN_LOCKOUT_BASE_MS,
+  LOGIN_LOCKOUT_MAX_MS,
+  LOGIN_MAX_FAILURES,
+} from "../constants.js";
+import { getRateLimitStore } from "./rateLimit/index.js";
+
+// Progressive lockout of an account after repeated wrong passwords
+// After LOGIN_MAX_FAILURES failures the account is locked for LOGIN_LOCKOUT_BASE_MS,
+// every further failure doubles the lock, up to LOGIN_LOCKOUT_MAX_MS
+// The account key is the user id, or the login name when no such user exists,
+// so unknown accounts are locked the same way and cannot be told apart
+
+const failuresKey = (accountKey) => `login-failures:${accountKey}`;
+const lockKey = (accountKey) => `login-lock:${accountKey}`;
+
+// @returns {Promise<number>} ms until the account is unlocked, 0 when it is not locked
+const getLoginLockout = async (accountKey) => {
+  const lock = await getRateLimitStore().get(lockKey(accountKey));
+  return lock ? Math.max(0, lock.resetAt - Date.now()) : 0;
+};
+
+// Counts a wrong password and locks the account once there were too many
+// @returns {Promise<number>} ms the account is now locked for, 0 when it is not locked
+const recordLoginFailure = async (accountKey) => {
+  const store = getRateLimitStore();
+  const { count } = await store.increment(
+    failuresKey(accountKey),
+    LOGIN_FAILURE_WINDOW_MS
+  );
+  if (count < LOGIN_MAX_FAILURES) return 0;
+
+  const lockMs = Math.min(
+    LOGIN_LOCKOUT_BASE_MS * 2 ** (count - LOGIN_MAX_FAILURES),
+    LOGIN_LOCKOUT_MAX_MS
+  );
+  // a new window of lockMs on the lock key is the lock itself
+  await store.increment(lockKey(accountKey), lockMs);
+  return lockMs;
+};
+
+// Forgets the failures after a successful login
+const clearLoginFailures = async (accountKey) => {
+  const store = getRateLimitStore();
+  await store.reset(failuresKey(accountKey));
+  await store.reset(lockKey(accountKey));
+};
+
+export { getLoginLockout, recordLoginFailure, clearLoginFailures };
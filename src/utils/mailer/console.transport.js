@@ -0,0 +1,10 @@
+// Prints mails to the console instead of sending them
+// Handy in local development, links in the mail can be copied from the logs
+// @param {Object} mail - { from, to, subject, text, html }
+const send = async function (mail) {
+  console.log(
+    `\n[mail] to: ${mail.to}\n[mail] subject: ${mail.subject}\n${mail.text}\n`
+  );
+};
+
+export const consoleTransport = { send };
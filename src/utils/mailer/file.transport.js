@@ -0,0 +1,22 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Writes every mail as a JSON file instead of sending it
+// Used by automated tests and offline development to read the mails back
+const getMailDir = () =>
+  path.resolve(process.env.MAIL_FILE_DIR || "logs/mails");
+
+// @param {Object} mail - { from, to, subject, text, html }
+const send = async function (mail) {
+  const mailDir = getMailDir();
+  await fs.promises.mkdir(mailDir, { recursive: true });
+
+  const fileName = `${Date.now()}-${crypto.randomUUID()}.json`;
+  await fs.promises.writeFile(
+    path.join(mailDir, fileName),
+    JSON.stringify({ ...mail, sentAt: new Date().toISOString() }, null, 2)
+  );
+};
+
+export const fileTransport = { send };
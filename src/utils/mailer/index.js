@@ -0,0 +1,79 @@
+import { smtpTransport } from "./smtp.transport.js";
+import { consoleTransport } from "./console.transport.js";
+import { fileTransport } from "./file.transport.js";
+
+// Every transport implements the same interface:
+// - send({ from, to, subject, text, html }) -> Promise<void>
+const transports = {
+  smtp: smtpTransport,
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+// The transport is picked with MAIL_TRANSPORT
+// Outside production it defaults to console, in production it has to be set:
+// a console transport there would silently drop every verification / reset mail
+const getTransport = () => {
+  if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === "production") {
+    throw new Error(
+      `MAIL_TRANSPORT is required in production, expected one of: ${Object.keys(transports).join(", ")}`
+    );
+  }
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(
+      `Unknown MAIL_TRANSPORT "${name}", expected one of: ${Object.keys(transports).join(", ")}`
+    );
+  }
+  return transport;
+};
+
+// Builds a link to the frontend, e.g. /reset-password/<token>
+const getClientUrl = (pathname) =>
+  `${(process.env.CLIENT_URL || process.env.CORS_ORIGIN || "http://localhost:3000").replace(/\/$/, "")}${pathname}`;
+
+const escapeHtml = (text = "") =>
+  text.replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        char
+      ]
+  );
+
+const sendMail = ({ to, subject, text, html }) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || "VideoTube <no-reply@videotube.local>",
+    to,
+    subject,
+    text,
+    html: html || `<p>${text}</p>`,
+  });
+
+const sendVerificationEmail = (user, token) => {
+  const link = getClientUrl(`/verify-email/${token}`);
+  return sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.fullName}, please verify your email address by opening this link: ${link}`,
+    html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>Please verify your email address by opening <a href="${link}">this link</a>.</p>`,
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = getClientUrl(`/reset-password/${token}`);
+  return sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.fullName}, you can choose a new password with this link: ${link}. If you did not ask for it, ignore this mail.`,
+    html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>You can choose a new password with <a href="${link}">this link</a>.</p><p>If you did not ask for it, ignore this mail.</p>`,
+  });
+};
+
+export {
+  getTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
@@ -0,0 +1,29 @@
+import nodemailer from "nodemailer";
+
+let transporter;
+
+// Created on first use so the SMTP env is read after dotenv ran
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASSWORD,
+          }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+// Sends a mail through the configured SMTP server
+// @param {Object} mail - { from, to, subject, text, html }
+const send = async function (mail) {
+  await getTransporter().sendMail(mail);
+};
+
+export const smtpTransport = { send };
@@ -0,0 +1,98 @@
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Session } from "../models/session.model.js";
+import { USER_ROLES } from "../constants.js";
+import { ApiError } from "./ApiError.js";
+
+// Moderation actions shared by the admin endpoints and the report queue
+
+// Fields of a user that staff never get to see, projection of every user sent to staff
+const HIDDEN_USER_FIELDS = {
+  password: 0,
+  refreshToken: 0,
+  emailVerificationToken: 0,
+  emailVerificationExpiry: 0,
+  forgotPasswordToken: 0,
+  forgotPasswordExpiry: 0,
+  watchHistory: 0,
+};
+
+// Staff may only act on users with a lower role than their own
+// e.g. a moderator can suspend a user but not another moderator or an admin
+const assertOutranks = (staff, target) => {
+  if (USER_ROLES.indexOf(staff.role) <= USER_ROLES.indexOf(target.role)) {
+    throw new ApiError(403, "You cannot change the account of this user");
+  }
+};
+
+/**
+ * @description Changes the status of a user on behalf of a staff member
+ * @function setUserStatus
+ * @param {Object} staff - req.user of the moderator / admin
+ * @param {string} userId - id of the user to change
+ * @param {Object} options - { status, reason, durationHours }
+ * @returns {Promise<Object>} the updated user, without HIDDEN_USER_FIELDS
+ * @throws {ApiError} 403 when staff do not outrank the user, 404 when the user does not exist
+ *
+ * Only admins may ban, durationHours only applies to suspensions (no value means until lifted)
+ * Suspending or banning logs the user out of every device
+ */
+const setUserStatus = async (
+  staff,
+  userId,
+  { status, reason, durationHours }
+) => {
+  if (status === "banned" && staff.role !== "admin") {
+    throw new ApiError(403, "Only admins can ban users");
+  }
+
+  if (staff._id.equals(userId)) {
+    throw new ApiError(400, "You cannot change the status of your own account");
+  }
+
+  const user = await User.findById(userId).select(HIDDEN_USER_FIELDS);
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  assertOutranks(staff, user);
+
+  user.status = status;
+  user.statusReason = status === "active" ? undefined : reason;
+  user.suspendedUntil =
+    status === "suspended" && durationHours
+      ? new Date(Date.now() + durationHours * 60 * 60 * 1000)
+      : undefined;
+  await user.save({ validateBeforeSave: false });
+
+  if (status !== "active") {
+    await Session.revokeAllForUser(user._id, status);
+  }
+
+  return user;
+};
+
+// Takes a video down on behalf of a staff member, the owner cannot publish it again
+// Returns the moderation fields of the video, or null when it does not exist
+const forceUnpublishVideo = (staff, videoId, reason) =>
+  Video.findByIdAndUpdate(
+    videoId,
+    {
+      $set: {
+        isPublished: false,
+        unpublishedBy: staff._id,
+        unpublishReason: reason,
+        unpublishedAt: new Date(),
+      },
+    },
+    { new: true }
+  ).select(
+    "title owner isPublished unpublishedBy unpublishReason unpublishedAt"
+  );
+
+export {
+  HIDDEN_USER_FIELDS,
+  assertOutranks,
+  setUserStatus,
+  forceUnpublishVideo,
+};
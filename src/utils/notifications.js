@@ -0,0 +1,149 @@
+import { Notification } from "../models/notification.model.js";
+import { User } from "../models/user.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { LIKE_MILESTONES } from "../constants.js";
+import { getEventBus } from "./eventBus/index.js";
+
+// Notifications of a new video are created for this many subscribers at a time
+const FAN_OUT_BATCH_SIZE = 500;
+
+// Live notifications of a user are published on their own event
+const userNotificationEvent = (userId) => `notification:${userId}`;
+
+// Public summary of the actor, the same shape as lookupUserSummary
+const getActorSummary = (actorId) =>
+  actorId
+    ? User.findById(actorId).select("username fullName avatar").lean()
+    : null;
+
+/**
+ * @description Stores notifications and delivers them live to the recipients
+ * @function notifyUsers
+ * @param {Array<ObjectId>} recipientIds - users to notify
+ * @param {Object} notification - { type, actor, video, comment, tweet, milestone }
+ * @returns {Promise<Array<Object>>} the created notifications
+ *
+ * The actor is never notified about their own action and recipients who
+ * muted the type are skipped (User.mutedNotifications)
+ */
+const notifyUsers = async (recipientIds, notification) => {
+  const candidates = recipientIds.filter(
+    (id) => String(id) !== String(notification.actor ?? "")
+  );
+  if (!candidates.length) return [];
+
+  const recipients = await User.find({
+    _id: { $in: candidates },
+    mutedNotifications: { $ne: notification.type },
+  }).distinct("_id");
+  if (!recipients.length) return [];
+
+  const created = await Notification.insertMany(
+    recipients.map((recipient) => ({ ...notification, recipient })),
+    { ordered: false }
+  );
+
+  const actor = await getActorSummary(notification.actor);
+  const bus = getEventBus();
+  await Promise.all(
+    created.map((doc) =>
+      bus.publish(userNotificationEvent(doc.recipient), {
+        ...doc.toObject(),
+        actor,
+      })
+    )
+  );
+
+  return created;
+};
+
+// Live notifications of one user, e.g. for an open SSE stream
+// @returns {Function} unsubscribe
+const subscribeToNotifications = (userId, handler) =>
+  getEventBus().subscribe(userNotificationEvent(userId), handler);
+
+// Notifies every subscriber of a channel, in batches so big channels
+// are not loaded into memory at once
+const notifySubscribers = async (channelId, notification) => {
+  const subscriptions = Subscription.find({ channel: channelId })
+    .select("subscriber")
+    .lean()
+    .cursor();
+
+  let batch = [];
+  for await (const { subscriber } of subscriptions) {
+    batch.push(subscriber);
+    if (batch.length === FAN_OUT_BATCH_SIZE) {
+      await notifyUsers(batch, notification);
+      batch = [];
+    }
+  }
+  if (batch.length) await notifyUsers(batch, notification);
+};
+
+// Domain events the notifications are built from
+// Payloads carry ids (ObjectIds or their string form once they went through a broker)
+const handlers = {
+  // { subscriber, channel }
+  "subscription.created": ({ subscriber, channel }) =>
+    notifyUsers([channel], { type: "new_subscriber", actor: subscriber }),
+
+  // { video, owner }
+  "video.published": ({ video, owner }) =>
+    notifySubscribers(owner, { type: "new_video", actor: owner, video }),
+
+  // { comment, video, author, videoOwner, repliedTo }
+  // repliedTo: author of the comment that was replied to, null for top level comments
+  "comment.created": async ({
+    comment,
+    video,
+    author,
+    videoOwner,
+    repliedTo,
+  }) => {
+    if (repliedTo) {
+      await notifyUsers([repliedTo], {
+        type: "reply",
+        actor: author,
+        video,
+        comment,
+      });
+    }
+    // the video owner already got the reply notification
+    if (String(videoOwner) !== String(repliedTo)) {
+      await notifyUsers([videoOwner], {
+        type: "comment",
+        actor: author,
+        video,
+        comment,
+      });
+    }
+  },
+
+  // { target, targetId, targetOwner, likesCount }
+  // target: "video", "comment" or "tweet"
+  "like.created": async ({ target, targetId, targetOwner, likesCount }) => {
+    if (!LIKE_MILESTONES.includes(likesCount)) return;
+
+    try {
+      await notifyUsers([targetOwner], {
+        type: "like_milestone",
+        [target]: targetId,
+        milestone: likesCount,
+      });
+    } catch (error) {
+      // 11000 - duplicate key, the milestone was already reached before
+      if (error?.code !== 11000) throw error;
+    }
+  },
+};
+
+// Subscribes the notification handlers to the domain events, once at startup
+const startNotifications = () => {
+  const bus = getEventBus();
+  for (const [event, handler] of Object.entries(handlers)) {
+    bus.subscribe(event, handler);
+  }
+};
+
+export { notifyUsers, subscribeToNotifications, startNotifications };
@@ -0,0 +1,33 @@
+import { ApiError } from "./ApiError.js";
+
+// Helpers to check that a user owns a resource, e.g. Video.owner or Playlist.owner
+
+// @param {Object} resource - document with an owner-like field
+// @param {Object} user - req.user
+// @param {string} [field] - name of the field holding the owner id
+// @returns {boolean}
+const isOwner = (resource, user, field = "owner") => {
+  if (!resource || !user) return false;
+  return resource[field]?.toString() === user._id.toString();
+};
+
+// Throws a 403 unless the user owns the resource
+// allowRoles lets staff (e.g. ["admin"]) act on resources they do not own
+// @param {Object} resource - document with an owner-like field
+// @param {Object} user - req.user
+// @param {Object} [options] - { field, allowRoles, message }
+const assertOwner = (
+  resource,
+  user,
+  {
+    field = "owner",
+    allowRoles = [],
+    message = "You are not allowed to modify this resource",
+  } = {}
+) => {
+  if (isOwner(resource, user, field)) return;
+  if (user && allowRoles.includes(user.role)) return;
+  throw new ApiError(403, message);
+};
+
+export { isOwner, assertOwner };
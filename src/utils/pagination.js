@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// Largest page size a client can ask for
+const MAX_PAGE_SIZE = 50;
+
+// Turns the raw page / limit query params into safe numbers
+// for aggregatePaginate (page >= 1, 1 <= limit <= MAX_PAGE_SIZE)
+// @param {Object} query - req.validatedQuery containing optional page and limit
+// @returns {{page: number, limit: number}}
+const getPaginationOptions = ({ page, limit } = {}, defaultLimit = 10) => {
+  return {
+    page: Math.max(parseInt(page, 10) || 1, 1),
+    limit: Math.min(
+      Math.max(parseInt(limit, 10) || defaultLimit, 1),
+      MAX_PAGE_SIZE
+    ),
+  };
+};
+
+// Cursor pagination, for feeds that keep growing at the top (newest first)
+// A cursor is the createdAt / _id of the last item of a page, as base64url
+// so that new items do not shift the following pages like page numbers would
+const encodeCursor = ({ createdAt, _id }) =>
+  Buffer.from(
+    JSON.stringify({ createdAt: new Date(createdAt).toISOString(), _id })
+  ).toString("base64url");
+
+// @returns {{createdAt: Date, _id: ObjectId}|null} null for a malformed cursor
+const decodeCursor = (cursor) => {
+  try {
+    const { createdAt, _id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString()
+    );
+    const date = new Date(createdAt);
+    if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(_id)) {
+      return null;
+    }
+    return { createdAt: date, _id: new mongoose.Types.ObjectId(_id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// $match condition for the items after a cursor, sorted by { createdAt: -1, _id: -1 }
+const afterCursor = ({ createdAt, _id }) => ({
+  $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: _id } }],
+});
+
+export { getPaginationOptions, encodeCursor, decodeCursor, afterCursor };
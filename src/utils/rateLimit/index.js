@@ -0,0 +1,31 @@
+import { memoryStore } from "./memory.store.js";
+
+// Counter stores used by the rate limit middleware and the login lockout
+// Every store implements the same (async) interface, with fixed windows:
+// - increment(key, windowMs) -> { count, resetAt }
+//   starts a new window of windowMs when the key has none, resetAt is a timestamp in ms
+// - get(key) -> { count, resetAt } | null when the key has no running window
+// - reset(key) -> removes the key
+// A shared store (e.g. Redis) can be added here so limits hold across several instances
+const stores = {
+  memory: memoryStore,
+};
+
+// The store is picked with RATE_LIMIT_STORE (memory by default)
+const getRateLimitStore = () => {
+  const name = process.env.RATE_LIMIT_STORE || "memory";
+  const store = stores[name];
+  if (!store) {
+    throw new Error(
+      `Unknown RATE_LIMIT_STORE "${name}", expected one of: ${Object.keys(stores).join(", ")}`
+    );
+  }
+  return store;
+};
+
+// Lets a custom store be plugged in at startup, e.g. registerRateLimitStore("redis", redisStore)
+const registerRateLimitStore = (name, store) => {
+  stores[name] = store;
+};
+
+export { getRateLimitStore, registerRateLimitStore };
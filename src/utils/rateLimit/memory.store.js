@@ -0,0 +1,42 @@
+// In-process rate limit store, counters are lost on restart and not shared
+// between several instances of the API (use another store for that)
+
+// key -> { count, resetAt }
+const counters = new Map();
+
+// Expired counters are dropped once a minute so the map does not grow forever
+// unref() lets the process exit even though the timer is still scheduled
+const SWEEP_INTERVAL_MS = 60 * 1000;
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, counter] of counters) {
+    if (counter.resetAt <= now) counters.delete(key);
+  }
+}, SWEEP_INTERVAL_MS).unref();
+
+const getActive = (key) => {
+  const counter = counters.get(key);
+  if (!counter || counter.resetAt <= Date.now()) return null;
+  return counter;
+};
+
+export const memoryStore = {
+  async increment(key, windowMs) {
+    let counter = getActive(key);
+    if (!counter) {
+      counter = { count: 0, resetAt: Date.now() + windowMs };
+      counters.set(key, counter);
+    }
+    counter.count += 1;
+    return { ...counter };
+  },
+
+  async get(key) {
+    const counter = getActive(key);
+    return counter ? { ...counter } : null;
+  },
+
+  async reset(key) {
+    counters.delete(key);
+  },
+};
@@ -0,0 +1,49 @@
+// Helpers to build search patterns out of user input
+
+// Escapes user input so it can be used safely inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Words of a search query that are worth matching one by one
+// (at most 5, shorter than 3 characters they match nearly everything)
+const getSearchTerms = (query) =>
+  [...new Set(query.toLowerCase().split(/[^\p{L}\p{N}]+/u))]
+    .filter((term) => term.length >= 3)
+    .slice(0, 5);
+
+// Pattern matching a word with at most one typo: a character missing,
+// added, replaced or two neighbouring characters swapped
+// e.g. "music" also matches "musik", "muisc", "musc" and "musiic"
+// Words shorter than 4 characters must match exactly
+// @returns {string} - RegExp source, meant to be used case insensitive
+const typoTolerantPattern = (term) => {
+  const chars = [...term].map(escapeRegex);
+  if (chars.length < 4) return chars.join("");
+
+  const join = (parts) => parts.join("");
+  const variants = new Set();
+
+  for (let i = 0; i <= chars.length; i++) {
+    // one extra character
+    variants.add(join([...chars.slice(0, i), ".", ...chars.slice(i)]));
+    if (i === chars.length) continue;
+    // one character replaced (covers the exact word too)
+    variants.add(join([...chars.slice(0, i), ".", ...chars.slice(i + 1)]));
+    // one character missing
+    variants.add(join([...chars.slice(0, i), ...chars.slice(i + 1)]));
+    // two characters swapped
+    if (i < chars.length - 1) {
+      variants.add(
+        join([
+          ...chars.slice(0, i),
+          chars[i + 1],
+          chars[i],
+          ...chars.slice(i + 2),
+        ])
+      );
+    }
+  }
+
+  return `(?:${[...variants].join("|")})`;
+};
+
+export { escapeRegex, getSearchTerms, typoTolerantPattern };
@@ -0,0 +1,88 @@
+import { v2 as cloudinary } from "cloudinary";
+import fs from "fs";
+// fs (File System) module is a built-in Node.js module that provides an API for interacting with the file system
+// In this context, fs is used to clean up the temporary file multer wrote to public/temp
+// once it has been uploaded to Cloudinary (or the upload failed)
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+// Matches delivery urls like
+// https://res.cloudinary.com/<cloud>/video/upload/v1712345678/folder/name.mp4
+// and captures the resource type and the public id (folder/name)
+const CLOUDINARY_URL_PATTERN =
+  /res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+?)(?:\.[^./]+)?$/;
+
+// Cloudinary refuses single requests above 100 MB
+const LARGE_FILE_SIZE = 100 * 1024 * 1024;
+
+// upload_large() only reports its result through a callback
+const uploadLarge = (localFilePath, options) =>
+  new Promise((resolve, reject) => {
+    cloudinary.uploader.upload_large(localFilePath, options, (error, result) =>
+      error ? reject(error) : resolve(result)
+    );
+  });
+
+// Function to upload a file to Cloudinary
+// @param {string} localFilePath - Path to the local file to be uploaded
+// @param {Object} [options] - { resourceType } image or video, detected by Cloudinary when missing
+// @returns {Promise<Object|null>} - { url, publicId, resourceType, duration } or null if upload fails
+const upload = async function (localFilePath, { resourceType } = {}) {
+  if (!localFilePath) return null;
+  try {
+    // Upload the file on Cloudinary
+    // files above 100 MB (e.g. resumable video uploads) must be sent in parts
+    const { size } = await fs.promises.stat(localFilePath);
+    const options = { resource_type: resourceType || "auto" };
+    const response =
+      size > LARGE_FILE_SIZE
+        ? await uploadLarge(localFilePath, options)
+        : await cloudinary.uploader.upload(localFilePath, options);
+    return {
+      url: response.secure_url || response.url,
+      publicId: response.public_id,
+      resourceType: response.resource_type,
+      duration: response.duration,
+    };
+  } catch (error) {
+    return null;
+  } finally {
+    // remove the locally saved temporary file, whether the upload worked or not
+    fs.rmSync(localFilePath, { force: true });
+  }
+};
+
+// Function to delete a previously uploaded file from Cloudinary
+// @param {string} url - url returned by upload()
+// @returns {Promise<boolean>} - true if the asset was deleted
+const remove = async function (url) {
+  const match = url?.match(CLOUDINARY_URL_PATTERN);
+  if (!match) return false;
+
+  const [, resourceType, publicId] = match;
+  try {
+    const response = await cloudinary.uploader.destroy(publicId, {
+      resource_type: resourceType,
+    });
+    return response?.result === "ok";
+  } catch (error) {
+    return false;
+  }
+};
+
+// Function to build the delivery url of a stored file
+// @param {string} publicId - public id returned by upload()
+// @param {Object} [options] - { resourceType } image (default), video or raw
+// @returns {string}
+const getUrl = function (publicId, { resourceType = "image" } = {}) {
+  return cloudinary.url(publicId, {
+    secure: true,
+    resource_type: resourceType,
+  });
+};
+
+export const cloudinaryDriver = { upload, delete: remove, getUrl };
@@ -0,0 +1,42 @@
+import { cloudinaryDriver } from "./cloudinary.driver.js";
+import { localDriver } from "./local.driver.js";
+
+// Storage abstraction used by the controllers instead of talking to Cloudinary directly
+// Every driver implements the same interface:
+// - upload(localFilePath, { resourceType }) -> { url, publicId, resourceType, duration? } | null
+//   (the temporary local file is always removed, resourceType is image or video when known)
+// - delete(url) -> boolean, urls that belong to another driver are ignored
+// - getUrl(publicId) -> public url of a stored file
+const drivers = {
+  cloudinary: cloudinaryDriver,
+  local: localDriver,
+};
+
+// The driver is picked with STORAGE_DRIVER (cloudinary by default)
+// Read on every call so that the env can be loaded after this module
+const getStorage = () => {
+  const name = process.env.STORAGE_DRIVER || "cloudinary";
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${name}", expected one of: ${Object.keys(drivers).join(", ")}`
+    );
+  }
+  return driver;
+};
+
+// options.resourceType: "image" / "video", the type checked by the upload middleware
+const uploadFile = (localFilePath, options) =>
+  getStorage().upload(localFilePath, options);
+
+// Deletes a stored file, failures are not fatal (returns false)
+// Empty urls (e.g. a user without cover image) are skipped
+const deleteFile = async (url) => {
+  if (!url) return false;
+  return getStorage().delete(url);
+};
+
+const getFileUrl = (publicId, options) =>
+  getStorage().getUrl(publicId, options);
+
+export { getStorage, uploadFile, deleteFile, getFileUrl };
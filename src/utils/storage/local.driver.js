@@ -0,0 +1,95 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Files are kept under public/uploads, which express.static("public") already serves
+const PUBLIC_DIR = path.resolve("public");
+const UPLOADS_DIR = path.join(PUBLIC_DIR, "uploads");
+const UPLOADS_URL_PATH = "/uploads/";
+
+const VIDEO_EXTENSIONS = [".mp4", ".webm", ".mov", ".mkv", ".avi", ".m4v"];
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".gif", ".webp", ".avif"];
+
+// Base of the generated urls, e.g. http://localhost:8000
+// Relative urls (/uploads/...) are used when it is not set
+const getBaseUrl = () =>
+  (process.env.LOCAL_STORAGE_BASE_URL || "").replace(/\/$/, "");
+
+const getResourceType = (fileName) => {
+  const extension = path.extname(fileName).toLowerCase();
+  if (VIDEO_EXTENSIONS.includes(extension)) return "video";
+  if (IMAGE_EXTENSIONS.includes(extension)) return "image";
+  return "raw";
+};
+
+// Function to move an uploaded temp file into public/uploads
+// @param {string} localFilePath - Path to the local file to be stored
+// @returns {Promise<Object|null>} - { url, publicId, resourceType } or null if storing fails
+const upload = async function (localFilePath) {
+  if (!localFilePath) return null;
+  try {
+    // random name, two uploads with the same original name never collide
+    const publicId = `${crypto.randomUUID()}${path
+      .extname(localFilePath)
+      .toLowerCase()}`;
+    const destination = path.join(UPLOADS_DIR, publicId);
+
+    await fs.promises.mkdir(UPLOADS_DIR, { recursive: true });
+    try {
+      await fs.promises.rename(localFilePath, destination);
+    } catch (error) {
+      // rename does not work across devices, fall back to copying
+      if (error.code !== "EXDEV") throw error;
+      await fs.promises.copyFile(localFilePath, destination);
+    }
+
+    return {
+      url: getUrl(publicId),
+      publicId,
+      resourceType: getResourceType(publicId),
+    };
+  } catch (error) {
+    return null;
+  } finally {
+    await fs.promises.rm(localFilePath, { force: true });
+  }
+};
+
+// Resolves a url returned by upload() to the file on disk
+// Returns null for urls that do not belong to this driver
+const resolveFilePath = (url) => {
+  if (!url || !URL.canParse(url, "http://localhost")) return null;
+
+  // relative urls (no LOCAL_STORAGE_BASE_URL) are resolved against a dummy host
+  const { pathname } = new URL(url, "http://localhost");
+  if (!pathname.startsWith(UPLOADS_URL_PATH)) return null;
+
+  const filePath = path.join(UPLOADS_DIR, path.basename(pathname));
+  return filePath.startsWith(UPLOADS_DIR + path.sep) ? filePath : null;
+};
+
+// Function to delete a previously stored file
+// @param {string} url - url returned by upload()
+// @returns {Promise<boolean>} - true if the file was deleted
+const remove = async function (url) {
+  const filePath = resolveFilePath(url);
+  if (!filePath) return false;
+  try {
+    await fs.promises.unlink(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Function to build the url of a stored file
+// @param {string} publicId - public id returned by upload()
+// @returns {string}
+const getUrl = function (publicId) {
+  return `${getBaseUrl()}${UPLOADS_URL_PATH}${publicId}`;
+};
+
+export const localDriver = { upload, delete: remove, getUrl, resolveFilePath };
+
+// video / image / raw, from the extension of a file name or url
+export { getResourceType };
@@ -0,0 +1,104 @@
+import fs from "fs";
+import path from "path";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { deleteFile } from "./storage/index.js";
+import { getJobFilesDir } from "./jobFiles.js";
+import {
+  JOB_FILE_MAX_AGE_MS,
+  TEMP_FILE_MAX_AGE_MS,
+  TEMP_UPLOAD_DIR,
+} from "../constants.js";
+
+// How often abandoned upload sessions are looked for
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// How often public/temp is swept
+const TEMP_SWEEP_INTERVAL_MS = 30 * 60 * 1000;
+
+// Removes upload sessions that expired (see UPLOAD_SESSION_EXPIRY_MS):
+// - pending ones lose their partial file
+// - completed ones that were never used (e.g. no video was published with them) lose the stored file
+// @returns {Promise<number>} number of removed sessions
+const cleanupAbandonedUploads = async () => {
+  const sessions = await UploadSession.find({
+    expiresAt: { $lte: new Date() },
+  });
+
+  for (const session of sessions) {
+    if (session.status === "pending") {
+      await fs.promises.rm(session.getTempPath(), { force: true });
+    } else {
+      await deleteFile(session.file?.url);
+    }
+    await session.deleteOne();
+  }
+
+  return sessions.length;
+};
+
+// Runs cleanupAbandonedUploads periodically, started once the database is connected
+// unref() lets the process exit even though the timer is still scheduled
+const startUploadCleanup = (intervalMs = CLEANUP_INTERVAL_MS) => {
+  const run = () =>
+    cleanupAbandonedUploads().catch((error) =>
+      console.error("Upload cleanup failed", error)
+    );
+  run();
+  return setInterval(run, intervalMs).unref();
+};
+
+// Deletes files in public/temp (or the given directory) older than maxAgeMs
+// Requests normally remove their temp files, these were left by crashes
+// @returns {Promise<number>} number of deleted files
+const sweepTempFiles = async (
+  maxAgeMs = TEMP_FILE_MAX_AGE_MS,
+  dir = TEMP_UPLOAD_DIR
+) => {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    // nothing was ever written there
+    if (error.code === "ENOENT") return 0;
+    throw error;
+  }
+  const cutoff = Date.now() - maxAgeMs;
+  let deleted = 0;
+
+  for (const entry of entries) {
+    // .gitkeep keeps the folder in the repository
+    if (!entry.isFile() || entry.name.startsWith(".")) continue;
+
+    const filePath = path.join(dir, entry.name);
+    try {
+      const { mtimeMs } = await fs.promises.stat(filePath);
+      if (mtimeMs < cutoff) {
+        await fs.promises.rm(filePath, { force: true });
+        deleted += 1;
+      }
+    } catch (error) {
+      // removed by its request in the meantime
+    }
+  }
+
+  return deleted;
+};
+
+// Runs sweepTempFiles periodically, does not need the database
+// Files of background jobs are swept too, after JOB_FILE_MAX_AGE_MS
+const startTempFileSweeper = (intervalMs = TEMP_SWEEP_INTERVAL_MS) => {
+  const run = () =>
+    Promise.all([
+      sweepTempFiles(),
+      sweepTempFiles(JOB_FILE_MAX_AGE_MS, getJobFilesDir()),
+    ]).catch((error) => console.error("Temp file sweep failed", error));
+  run();
+  return setInterval(run, intervalMs).unref();
+};
+
+export {
+  cleanupAbandonedUploads,
+  startUploadCleanup,
+  sweepTempFiles,
+  startTempFileSweeper,
+};
@@ -0,0 +1,177 @@
+import { isValidObjectId } from "mongoose";
+
+// Building blocks for request validation schemas
+// A schema is a plain object { fieldName: rule }
+// A rule is a function (value) => { value } on success or { error } on failure,
+// where value is the sanitized value (trimmed, lowercased, parsed number, ...)
+// and error is a message that gets prefixed with the field name
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "";
+
+// Handles the "missing value" case shared by every rule
+const missing = (required) =>
+  required ? { error: "is required" } : { value: undefined };
+
+// allowEmpty: an empty string is kept as "" instead of counting as missing,
+// for optional fields a client can clear
+const string =
+  ({
+    required = true,
+    allowEmpty = false,
+    min,
+    max,
+    pattern,
+    patternMessage = "has an invalid format",
+    trim = true,
+    lowercase = false,
+  } = {}) =>
+  (value) => {
+    if (allowEmpty && value === "") return { value: "" };
+    if (isEmpty(value)) return missing(required);
+    if (typeof value !== "string") return { error: "must be a string" };
+
+    let result = trim ? value.trim() : value;
+    if (lowercase) result = result.toLowerCase();
+    if (result === "") return allowEmpty ? { value: "" } : missing(required);
+
+    if (min !== undefined && result.length < min) {
+      return { error: `must be at least ${min} characters long` };
+    }
+    if (max !== undefined && result.length > max) {
+      return { error: `must be at most ${max} characters long` };
+    }
+    if (pattern && !pattern.test(result)) {
+      return { error: patternMessage };
+    }
+    return { value: result };
+  };
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const email = ({ required = true } = {}) =>
+  string({
+    required,
+    max: 254,
+    lowercase: true,
+    pattern: EMAIL_PATTERN,
+    patternMessage: "must be a valid email address",
+  });
+
+// lowercase letters, digits, "_" and ".", starting with a letter or digit
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9_.]*$/;
+
+const username = ({ required = true } = {}) =>
+  string({
+    required,
+    min: 3,
+    max: 30,
+    lowercase: true,
+    pattern: USERNAME_PATTERN,
+    patternMessage:
+      "may only contain letters, numbers, '_' and '.' and must start with a letter or number",
+  });
+
+// Password policy: 8 to 72 characters (bcrypt ignores anything after 72 bytes),
+// with at least one letter and one number
+const password = ({ required = true } = {}) => {
+  const checkLength = string({ required, min: 8, max: 72, trim: false });
+  return (value) => {
+    const result = checkLength(value);
+    if (result.error || result.value === undefined) return result;
+    if (!/[A-Za-z]/.test(result.value) || !/\d/.test(result.value)) {
+      return { error: "must contain at least one letter and one number" };
+    }
+    return result;
+  };
+};
+
+const objectId =
+  ({ required = true } = {}) =>
+  (value) => {
+    if (isEmpty(value)) return missing(required);
+    if (typeof value !== "string" || !isValidObjectId(value)) {
+      return { error: "must be a valid id" };
+    }
+    return { value };
+  };
+
+// Integers arrive as strings in query params, so strings are parsed
+const integer =
+  ({ required = false, min, max } = {}) =>
+  (value) => {
+    if (isEmpty(value)) return missing(required);
+    const number = typeof value === "number" ? value : Number(value);
+    if (!Number.isInteger(number)) return { error: "must be an integer" };
+    if (min !== undefined && number < min) {
+      return { error: `must be at least ${min}` };
+    }
+    if (max !== undefined && number > max) {
+      return { error: `must be at most ${max}` };
+    }
+    return { value: number };
+  };
+
+// Accepts true / false and their string forms (multipart and query values)
+const boolean =
+  ({ required = false } = {}) =>
+  (value) => {
+    if (isEmpty(value)) return missing(required);
+    if (value === true || value === "true") return { value: true };
+    if (value === false || value === "false") return { value: false };
+    return { error: "must be true or false" };
+  };
+
+// Dates arrive as ISO 8601 strings (e.g. 2024-01-31 or 2024-01-31T12:00:00Z)
+const date =
+  ({ required = false } = {}) =>
+  (value) => {
+    if (isEmpty(value)) return missing(required);
+    const parsed = new Date(value);
+    if (typeof value !== "string" || Number.isNaN(parsed.getTime())) {
+      return { error: "must be a valid date" };
+    }
+    return { value: parsed };
+  };
+
+const oneOf =
+  (allowed, { required = false } = {}) =>
+  (value) => {
+    if (isEmpty(value)) return missing(required);
+    if (!allowed.includes(value)) {
+      return { error: `must be one of: ${allowed.join(", ")}` };
+    }
+    return { value };
+  };
+
+// Runs a schema against an object
+// @returns {{values: Object, errors: Array<{field: string, message: string}>}}
+const validateSchema = (schema, data) => {
+  data = data || {};
+  const values = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const result = rule(data[field]);
+    if (result.error) {
+      errors.push({ field, message: `${field} ${result.error}` });
+    } else if (result.value !== undefined) {
+      values[field] = result.value;
+    }
+  }
+
+  return { values, errors };
+};
+
+export {
+  string,
+  email,
+  username,
+  password,
+  objectId,
+  integer,
+  boolean,
+  date,
+  oneOf,
+  validateSchema,
+};
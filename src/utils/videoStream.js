@@ -0,0 +1,88 @@
+import path from "path";
+import jwt from "jsonwebtoken";
+import { ApiError } from "./ApiError.js";
+
+// Short-lived signed urls for GET /videos/:videoId/stream
+// The token is a jwt bound to one video and, when known, to the viewer, so players
+// can load and seek the video without cookies or an Authorization header
+// Stream tokens carry typ "stream" so that, when they share the access token secret,
+// neither kind of token is accepted in place of the other
+
+const STREAM_TOKEN_TYPE = "stream";
+
+const getSecret = () =>
+  process.env.STREAM_TOKEN_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+// Read on every call so that the env can be loaded after this module
+const getExpiry = () => process.env.STREAM_TOKEN_EXPIRY || "15m";
+
+// @param {string} videoId
+// @param {string} [userId] - viewer, unpublished videos are only streamed to their owner
+// @returns {{url: string, expiresAt: Date}}
+const createStreamUrl = (videoId, userId) => {
+  const token = jwt.sign(
+    {
+      typ: STREAM_TOKEN_TYPE,
+      vid: videoId.toString(),
+      uid: userId?.toString(),
+    },
+    getSecret(),
+    { expiresIn: getExpiry() }
+  );
+  const { exp } = jwt.decode(token);
+  const baseUrl = (process.env.LOCAL_STORAGE_BASE_URL || "").replace(/\/$/, "");
+
+  return {
+    url: `${baseUrl}/api/v1/videos/${videoId}/stream?token=${token}`,
+    expiresAt: new Date(exp * 1000),
+  };
+};
+
+// Verifies a stream token and returns the viewer id it was issued for (if any)
+// Expired or tampered tokens throw jwt errors, turned into 401 by the error middleware
+const verifyStreamToken = (token, videoId) => {
+  const payload = jwt.verify(token, getSecret());
+  if (payload.typ !== STREAM_TOKEN_TYPE) {
+    throw new ApiError(401, "Invalid stream token");
+  }
+  if (payload.vid !== videoId.toString()) {
+    throw new ApiError(401, "Stream token does not belong to this video");
+  }
+  return payload.uid;
+};
+
+// If-Range: a range is only honored when the file did not change since the client got its part
+// @param {string} [ifRange] - If-Range header, an ETag or an HTTP date
+// @returns {boolean} true when there is no If-Range header or it still matches the file
+const isRangeStillValid = (ifRange, etag, lastModified) => {
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith("W/")) {
+    return ifRange === etag;
+  }
+  return (
+    Date.parse(ifRange) >= Math.floor(lastModified.getTime() / 1000) * 1000
+  );
+};
+
+// Content-Type of locally stored videos, by extension
+// (the generic mime lookup answers application/mp4 for .mp4, which players dislike)
+const VIDEO_MIME_TYPES = {
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".mov": "video/quicktime",
+  ".webm": "video/webm",
+  ".mkv": "video/x-matroska",
+  ".avi": "video/x-msvideo",
+};
+
+const getVideoMimeType = (filePath) =>
+  VIDEO_MIME_TYPES[path.extname(filePath).toLowerCase()] ||
+  "application/octet-stream";
+
+export {
+  STREAM_TOKEN_TYPE,
+  createStreamUrl,
+  verifyStreamToken,
+  isRangeStillValid,
+  getVideoMimeType,
+};
@@ -0,0 +1,106 @@
+import crypto from "crypto";
+import { ViewEvent } from "../models/viewEvent.model.js";
+import { ViewStat } from "../models/viewStat.model.js";
+import { VIEW_COUNT_WINDOW_MS } from "../constants.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Start of the hour (UTC) a date falls in, the key of ViewStat buckets
+const toHourBucket = (date) =>
+  new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+
+// Tells anonymous viewers apart without storing their ip
+const getViewerFingerprint = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(`${req.ip || ""}|${req.get("user-agent") || ""}`)
+    .digest("hex");
+
+// Adds to the hourly rollup of a video
+const incrementViewStat = (video, bucket, inc) =>
+  ViewStat.updateOne(
+    { video: video._id, bucket },
+    { $inc: inc, $setOnInsert: { channel: video.owner } },
+    { upsert: true }
+  );
+
+// Start of the VIEW_COUNT_WINDOW_MS window a date falls in
+// A viewer has at most one ViewEvent per video and window (unique index)
+const toViewWindow = (date) =>
+  new Date(
+    Math.floor(date.getTime() / VIEW_COUNT_WINDOW_MS) * VIEW_COUNT_WINDOW_MS
+  );
+
+/**
+ * @description Records a playback of a video for analytics
+ * @function recordViewEvent
+ * @param {Object} video - Video document (_id, owner, duration)
+ * @param {Object} viewer - { viewerId } for logged in viewers, { fingerprint } otherwise
+ * @param {number} watchedSeconds - how long the video was watched so far,
+ * capped at the duration of the video when it is known
+ * @returns {Promise<boolean>} true when the report started a new view
+ *
+ * Players report their progress several times per playback: reports of the
+ * same viewer within one VIEW_COUNT_WINDOW_MS window update the same event,
+ * so a playback counts as one view. The event is upserted in one atomic write
+ * and the previous version it returns tells what changed, so parallel reports
+ * neither create duplicate events nor count the same progress twice in the
+ * hourly ViewStat bucket of the event.
+ */
+const recordViewEvent = async (
+  video,
+  { viewerId, fingerprint },
+  reportedSeconds
+) => {
+  const watchedSeconds =
+    video.duration > 0
+      ? Math.min(reportedSeconds, video.duration)
+      : reportedSeconds;
+  const watchPercentage =
+    video.duration > 0
+      ? Math.min(100, (watchedSeconds / video.duration) * 100)
+      : null;
+  const identity = viewerId
+    ? { viewer: viewerId, fingerprint: null }
+    : { viewer: null, fingerprint };
+  const now = new Date();
+
+  // progress only grows ($max), an older report arriving late changes nothing
+  // MongoDB retries an upsert that lost the insert race on the unique index
+  const previous = await ViewEvent.findOneAndUpdate(
+    { video: video._id, ...identity, window: toViewWindow(now) },
+    {
+      $setOnInsert: { channel: video.owner },
+      $max: {
+        watchedSeconds,
+        ...(watchPercentage !== null && { watchPercentage }),
+      },
+    },
+    { upsert: true, new: false }
+  );
+
+  if (!previous) {
+    await incrementViewStat(video, toHourBucket(now), {
+      views: 1,
+      watchedSeconds,
+      ...(watchPercentage !== null && {
+        watchPercentageSum: watchPercentage,
+        watchPercentageCount: 1,
+      }),
+    });
+    return true;
+  }
+
+  if (watchedSeconds <= previous.watchedSeconds) return false;
+
+  const inc = { watchedSeconds: watchedSeconds - previous.watchedSeconds };
+  if (watchPercentage !== null) {
+    inc.watchPercentageSum = watchPercentage - (previous.watchPercentage ?? 0);
+    if (previous.watchPercentage === null) inc.watchPercentageCount = 1;
+  }
+  await incrementViewStat(video, toHourBucket(previous.createdAt), inc);
+
+  return false;
+};
+
+export { recordViewEvent, getViewerFingerprint };
@@ -0,0 +1,82 @@
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { View } from "../models/view.model.js";
+import { VIEW_COUNT_WINDOW_MS, WATCH_HISTORY_LIMIT } from "../constants.js";
+
+// Counts a view for the viewer unless they already added one within
+// VIEW_COUNT_WINDOW_MS
+// @param {ObjectId} videoId - video being watched
+// @param {ObjectId} userId - authenticated viewer
+// @returns {Promise<boolean>} - true if the view was counted
+const countView = async (videoId, userId) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - VIEW_COUNT_WINDOW_MS);
+
+  // the viewer has watched before, but outside the window -> count again
+  const refreshed = await View.updateOne(
+    { video: videoId, viewer: userId, lastCountedAt: { $lt: windowStart } },
+    { $set: { lastCountedAt: now } }
+  );
+  let counted = refreshed.modifiedCount > 0;
+
+  if (!counted) {
+    try {
+      // first time this viewer watches the video
+      await View.create({ video: videoId, viewer: userId, lastCountedAt: now });
+      counted = true;
+    } catch (error) {
+      // 11000 - a record exists and is still inside the window
+      if (error?.code !== 11000) throw error;
+    }
+  }
+
+  if (counted) {
+    await Video.updateOne({ _id: videoId }, { $inc: { views: 1 } });
+  }
+
+  return counted;
+};
+
+// Moves the video to the front of the user's watch history
+// Removes any older entry of the same video and keeps at most WATCH_HISTORY_LIMIT items
+// Uses an update pipeline so the whole change happens in a single atomic write
+const addToWatchHistory = async (videoId, userId) => {
+  await User.updateOne({ _id: userId }, [
+    {
+      $set: {
+        watchHistory: {
+          $slice: [
+            {
+              $concatArrays: [
+                [videoId],
+                {
+                  $filter: {
+                    input: { $ifNull: ["$watchHistory", []] },
+                    cond: { $ne: ["$$this", videoId] },
+                  },
+                },
+              ],
+            },
+            WATCH_HISTORY_LIMIT,
+          ],
+        },
+      },
+    },
+  ]);
+};
+
+// Records that an authenticated user watched a video
+// Owners watching their own video only get it in their history, their views
+// are not counted (like the watch progress reports of recordVideoWatch)
+// @param {ObjectId} ownerId - owner of the video
+// @returns {Promise<boolean>} - true if the view counter was incremented
+const recordVideoView = async (videoId, userId, ownerId) => {
+  const isOwner = ownerId.equals(userId);
+  const [counted] = await Promise.all([
+    isOwner ? false : countView(videoId, userId),
+    addToWatchHistory(videoId, userId),
+  ]);
+  return counted;
+};
+
+export { recordVideoView };
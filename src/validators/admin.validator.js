@@ -0,0 +1,31 @@
+import { JOB_STATUSES, USER_ROLES, USER_STATUSES } from "../constants.js";
+import { integer, oneOf, string } from "../utils/validation.js";
+import { paginationQuerySchema } from "./common.validator.js";
+
+export const listUsersQuerySchema = {
+  ...paginationQuerySchema,
+  query: string({ required: false, max: 100 }),
+  role: oneOf(USER_ROLES),
+  status: oneOf(USER_STATUSES),
+};
+
+// durationHours only applies to suspensions, no value means until lifted
+export const updateUserStatusSchema = {
+  status: oneOf(USER_STATUSES, { required: true }),
+  reason: string({ required: false, max: 500 }),
+  durationHours: integer({ min: 1, max: 24 * 365 }),
+};
+
+export const updateUserRoleSchema = {
+  role: oneOf(USER_ROLES, { required: true }),
+};
+
+export const unpublishVideoSchema = {
+  reason: string({ max: 500 }),
+};
+
+export const listJobsQuerySchema = {
+  ...paginationQuerySchema,
+  status: oneOf(JOB_STATUSES),
+  name: string({ required: false, max: 100 }),
+};
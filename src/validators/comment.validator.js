@@ -0,0 +1,10 @@
+import { objectId, string } from "../utils/validation.js";
+
+export const addCommentSchema = {
+  content: string({ max: 2000 }),
+  parentId: objectId({ required: false }),
+};
+
+export const updateCommentSchema = {
+  content: string({ max: 2000 }),
+};
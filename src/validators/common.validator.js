@@ -0,0 +1,7 @@
+import { integer } from "../utils/validation.js";
+
+// page / limit query params of every paginated listing
+export const paginationQuerySchema = {
+  page: integer({ min: 1 }),
+  limit: integer({ min: 1, max: 50 }),
+};
@@ -0,0 +1,6 @@
+import { integer } from "../utils/validation.js";
+
+// days: length of the range, ending today
+export const channelStatsQuerySchema = {
+  days: integer({ min: 1, max: 365 }),
+};
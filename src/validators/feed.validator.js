@@ -0,0 +1,10 @@
+import { integer, string } from "../utils/validation.js";
+import { paginationQuerySchema } from "./common.validator.js";
+
+// cursor: nextCursor of the previous page
+export const cursorQuerySchema = {
+  cursor: string({ required: false, max: 200 }),
+  limit: integer({ min: 1, max: 50 }),
+};
+
+export const homeFeedQuerySchema = paginationQuerySchema;
@@ -0,0 +1,17 @@
+import { NOTIFICATION_TYPES } from "../constants.js";
+import { boolean, integer, oneOf } from "../utils/validation.js";
+
+export const notificationsQuerySchema = {
+  page: integer({ min: 1 }),
+  limit: integer({ min: 1, max: 50 }),
+  unread: boolean(),
+};
+
+export const markNotificationSchema = {
+  read: boolean({ required: true }),
+};
+
+export const notificationPreferencesSchema = {
+  type: oneOf(NOTIFICATION_TYPES, { required: true }),
+  muted: boolean({ required: true }),
+};
@@ -0,0 +1,18 @@
+import { boolean, integer, string } from "../utils/validation.js";
+
+export const createPlaylistSchema = {
+  name: string({ max: 150 }),
+  description: string({ required: false, max: 1000 }),
+  isPublic: boolean(),
+};
+
+// an empty description clears it
+export const updatePlaylistSchema = {
+  name: string({ required: false, max: 150 }),
+  description: string({ required: false, allowEmpty: true, max: 1000 }),
+  isPublic: boolean(),
+};
+
+export const moveVideoSchema = {
+  position: integer({ required: true, min: 0 }),
+};
@@ -0,0 +1,35 @@
+import {
+  REPORT_ACTIONS,
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  REPORT_TARGET_TYPES,
+} from "../constants.js";
+import { integer, objectId, oneOf, string } from "../utils/validation.js";
+import { paginationQuerySchema } from "./common.validator.js";
+
+export const createReportSchema = {
+  targetType: oneOf(REPORT_TARGET_TYPES, { required: true }),
+  targetId: objectId(),
+  reason: oneOf(REPORT_REASONS, { required: true }),
+  details: string({ required: false, max: 1000 }),
+};
+
+export const reportTargetParamsSchema = {
+  targetType: oneOf(REPORT_TARGET_TYPES, { required: true }),
+  targetId: objectId(),
+};
+
+// status defaults to the reports still waiting for a decision (open and under_review)
+export const reportQueueQuerySchema = {
+  ...paginationQuerySchema,
+  status: oneOf(REPORT_STATUSES),
+  targetType: oneOf(REPORT_TARGET_TYPES),
+  reason: oneOf(REPORT_REASONS),
+};
+
+// durationHours only applies to suspend_owner, no value means until lifted
+export const resolveReportsSchema = {
+  action: oneOf(REPORT_ACTIONS, { required: true }),
+  note: string({ max: 500 }),
+  durationHours: integer({ min: 1, max: 24 * 365 }),
+};
@@ -0,0 +1,19 @@
+import { SEARCH_DURATION_BUCKETS, SEARCH_TYPES } from "../constants.js";
+import { date, integer, oneOf, string } from "../utils/validation.js";
+
+export const searchQuerySchema = {
+  q: string({ max: 100 }),
+  type: oneOf(SEARCH_TYPES),
+  from: date(),
+  to: date(),
+  duration: oneOf(Object.keys(SEARCH_DURATION_BUCKETS)),
+  sortBy: oneOf(["relevance", "views"]),
+  // blended results are ranked in memory, so only the first pages are served
+  page: integer({ min: 1, max: 10 }),
+  limit: integer({ min: 1, max: 50 }),
+};
+
+export const searchSuggestionsQuerySchema = {
+  q: string({ max: 100 }),
+  limit: integer({ min: 1, max: 20 }),
+};
@@ -0,0 +1,5 @@
+import { string } from "../utils/validation.js";
+
+export const tweetSchema = {
+  content: string({ max: 1000 }),
+};
@@ -0,0 +1,23 @@
+import { integer, string } from "../utils/validation.js";
+
+// sha256 of the whole file, as hex
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+const checksum = (required) =>
+  string({
+    required,
+    lowercase: true,
+    pattern: SHA256_PATTERN,
+    patternMessage: "must be a sha256 hex digest",
+  });
+
+// size is checked against MAX_UPLOAD_SIZE in createUpload
+export const createUploadSchema = {
+  fileName: string({ max: 255 }),
+  size: integer({ required: true, min: 1 }),
+  checksum: checksum(false),
+};
+
+export const finalizeUploadSchema = {
+  checksum: checksum(false),
+};
@@ -0,0 +1,62 @@
+import {
+  email,
+  objectId,
+  password,
+  string,
+  username,
+} from "../utils/validation.js";
+
+// Request schemas for the user routes, used with the validate middleware
+
+export const registerUserSchema = {
+  fullName: string({ min: 1, max: 100 }),
+  username: username(),
+  email: email(),
+  password: password(),
+};
+
+// no format rules on login, accounts created before the rules existed must still log in
+// either email or username is checked in loginUser
+export const loginUserSchema = {
+  email: string({ required: false, lowercase: true, max: 254 }),
+  username: string({ required: false, lowercase: true, max: 30 }),
+  password: string({ trim: false, max: 72 }),
+};
+
+export const refreshTokenSchema = {
+  refreshToken: string({ required: false }),
+};
+
+export const changePasswordSchema = {
+  oldPassword: string({ trim: false }),
+  newPassword: password(),
+};
+
+export const updateAccountSchema = {
+  fullName: string({ min: 1, max: 100 }),
+  email: email(),
+};
+
+export const channelProfileParamsSchema = {
+  username: string({ lowercase: true, max: 30 }),
+};
+
+export const historyVideoParamsSchema = {
+  videoId: objectId(),
+};
+
+export const forgotPasswordSchema = {
+  email: email(),
+};
+
+export const resetPasswordParamsSchema = {
+  resetToken: string({ max: 128 }),
+};
+
+export const resetPasswordSchema = {
+  newPassword: password(),
+};
+
+export const verifyEmailParamsSchema = {
+  verificationToken: string({ max: 128 }),
+};
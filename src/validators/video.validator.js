@@ -0,0 +1,40 @@
+import { integer, objectId, oneOf, string } from "../utils/validation.js";
+import { TRENDING_WINDOWS } from "../constants.js";
+
+export const getAllVideosQuerySchema = {
+  page: integer({ min: 1 }),
+  limit: integer({ min: 1, max: 50 }),
+  sortBy: oneOf(["createdAt", "views", "duration"]),
+  sortType: oneOf(["asc", "desc"]),
+  owner: string({ required: false, max: 30 }),
+  query: string({ required: false, max: 200 }),
+};
+
+// the video is either a videoFile in the request or a finalized resumable upload
+export const publishVideoSchema = {
+  title: string({ max: 200 }),
+  description: string({ max: 5000 }),
+  uploadId: objectId({ required: false }),
+};
+
+// every field is optional, updateVideo checks that at least one change was sent
+export const updateVideoSchema = {
+  title: string({ required: false, max: 200 }),
+  description: string({ required: false, max: 5000 }),
+};
+
+// progress report of the player, how far into the video the viewer got
+export const recordVideoWatchSchema = {
+  watchedSeconds: integer({ required: true, min: 0, max: 24 * 60 * 60 }),
+};
+
+// signed token of getVideoStreamUrl, for players that cannot send headers
+export const streamVideoQuerySchema = {
+  token: string({ required: false, max: 2048 }),
+};
+
+export const trendingVideosQuerySchema = {
+  window: oneOf(Object.keys(TRENDING_WINDOWS)),
+  page: integer({ min: 1 }),
+  limit: integer({ min: 1, max: 50 }),
+};
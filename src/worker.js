@@ -0,0 +1,39 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+
+import connectDB from "./db/index.js";
+import { registerJobs } from "./jobs/index.js";
+import { startJobWorker } from "./utils/jobQueue.js";
+import { startNotifications } from "./utils/notifications.js";
+
+// Standalone job worker, for running the API with JOB_WORKER=separate
+// npm run worker, as many instances as needed
+// Notifications created by jobs reach live streams of the API only through a
+// shared EVENT_BUS, the inbox gets them either way
+
+dotenv.config({
+  path: "./.env",
+});
+
+connectDB()
+  .then(() => {
+    registerJobs();
+    // jobs publish events too (e.g. "video.published")
+    startNotifications();
+    const worker = startJobWorker();
+    console.log(`Job worker ${worker.workerId} is running`);
+
+    // lets the running jobs finish, unfinished ones are picked up again
+    // by another worker once their lock expires
+    const shutdown = async () => {
+      await worker.stop();
+      await mongoose.disconnect();
+      process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+  })
+  .catch((err) => {
+    console.log("Mongo db connection failed!!", err);
+    process.exit(1);
+  });
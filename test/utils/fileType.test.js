@@ -0,0 +1,128 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  detectFileType,
+  getImageDimensions,
+} from "../../src/utils/fileType.js";
+
+const bytes = (...parts) =>
+  Buffer.concat(
+    parts.map((part) =>
+      typeof part === "string" ? Buffer.from(part, "latin1") : Buffer.from(part)
+    )
+  );
+
+// ISO base media header: box size, "ftyp", major brand, minor version
+const ftyp = (brand) =>
+  bytes([0, 0, 0, 0x18], "ftyp", brand, [0, 0, 0, 0], Buffer.alloc(8));
+
+const png = (width, height) => {
+  const header = bytes(
+    [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+    [0, 0, 0, 13],
+    "IHDR",
+    Buffer.alloc(8)
+  );
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  return header;
+};
+
+describe("detectFileType", () => {
+  it("detects images by their magic bytes", () => {
+    assert.equal(
+      detectFileType(bytes([0xff, 0xd8, 0xff, 0xe0])).mime,
+      "image/jpeg"
+    );
+    assert.equal(detectFileType(png(1, 1)).mime, "image/png");
+    assert.equal(
+      detectFileType(bytes("GIF89a", [1, 0, 1, 0])).mime,
+      "image/gif"
+    );
+    assert.equal(
+      detectFileType(bytes("RIFF", [0, 0, 0, 0], "WEBPVP8 ")).mime,
+      "image/webp"
+    );
+  });
+
+  it("accepts ISO media files with a video brand", () => {
+    for (const brand of ["isom", "iso2", "mp41", "mp42", "avc1", "M4V "]) {
+      assert.deepEqual(detectFileType(ftyp(brand)), {
+        kind: "video",
+        mime: "video/mp4",
+        extension: ".mp4",
+      });
+    }
+    assert.equal(detectFileType(ftyp("qt  ")).mime, "video/quicktime");
+  });
+
+  it("rejects HEIC / AVIF images and M4A audio in an ISO media container", () => {
+    for (const brand of ["heic", "avif", "mif1", "M4A "]) {
+      assert.equal(detectFileType(ftyp(brand)), null, brand);
+    }
+  });
+
+  it("tells WebM from other Matroska files", () => {
+    const ebml = [0x1a, 0x45, 0xdf, 0xa3];
+    assert.equal(
+      detectFileType(bytes(ebml, "\x42\x82\x84webm")).mime,
+      "video/webm"
+    );
+    assert.equal(
+      detectFileType(bytes(ebml, "\x42\x82\x88matroska")).mime,
+      "video/x-matroska"
+    );
+  });
+
+  it("detects AVI and rejects unknown or truncated content", () => {
+    assert.equal(
+      detectFileType(bytes("RIFF", [0, 0, 0, 0], "AVI LIST")).mime,
+      "video/x-msvideo"
+    );
+    assert.equal(detectFileType(bytes("<?php echo 1; ?>")), null);
+    assert.equal(detectFileType(bytes([0, 0, 0])), null);
+    assert.equal(detectFileType(Buffer.alloc(0)), null);
+  });
+});
+
+describe("getImageDimensions", () => {
+  it("reads the size of a PNG", () => {
+    assert.deepEqual(getImageDimensions(png(640, 360), "image/png"), {
+      width: 640,
+      height: 360,
+    });
+  });
+
+  it("reads the size of a GIF", () => {
+    const gif = bytes("GIF89a", [0x20, 0x03, 0x58, 0x02]);
+    assert.deepEqual(getImageDimensions(gif, "image/gif"), {
+      width: 800,
+      height: 600,
+    });
+  });
+
+  it("skips JPEG segments until the start of frame", () => {
+    const jpeg = bytes(
+      [0xff, 0xd8],
+      // APP0 segment of 16 bytes
+      [0xff, 0xe0, 0x00, 0x10],
+      Buffer.alloc(14),
+      // SOF0: length, precision, height 480, width 720
+      [0xff, 0xc0, 0x00, 0x11, 0x08, 0x01, 0xe0, 0x02, 0xd0],
+      Buffer.alloc(12)
+    );
+    assert.deepEqual(getImageDimensions(jpeg, "image/jpeg"), {
+      width: 720,
+      height: 480,
+    });
+  });
+
+  it("returns null when the size cannot be read", () => {
+    assert.equal(getImageDimensions(bytes([0x89, 0x50]), "image/png"), null);
+    assert.equal(
+      getImageDimensions(bytes([0xff, 0xd8, 0x00]), "image/jpeg"),
+      null
+    );
+    assert.equal(getImageDimensions(png(1, 1), "video/mp4"), null);
+  });
+});
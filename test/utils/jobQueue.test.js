@@ -0,0 +1,28 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getBackoffMs } from "../../src/utils/jobQueue.js";
+import {
+  JOB_BACKOFF_BASE_MS,
+  JOB_BACKOFF_MAX_MS,
+} from "../../src/constants.js";
+
+describe("getBackoffMs", () => {
+  it("doubles the wait on every retry", (t) => {
+    t.mock.method(Math, "random", () => 0.5);
+    assert.equal(getBackoffMs(1), JOB_BACKOFF_BASE_MS);
+    assert.equal(getBackoffMs(2), JOB_BACKOFF_BASE_MS * 2);
+    assert.equal(getBackoffMs(3), JOB_BACKOFF_BASE_MS * 4);
+  });
+
+  it("never waits longer than JOB_BACKOFF_MAX_MS plus jitter", (t) => {
+    t.mock.method(Math, "random", () => 0.5);
+    assert.equal(getBackoffMs(50), JOB_BACKOFF_MAX_MS);
+  });
+
+  it("spreads retries by up to 20% either way", (t) => {
+    const random = t.mock.method(Math, "random", () => 0);
+    assert.equal(getBackoffMs(2), JOB_BACKOFF_BASE_MS * 2 * 0.8);
+    random.mock.mockImplementation(() => 0.999999);
+    assert.equal(getBackoffMs(2), JOB_BACKOFF_BASE_MS * 2 * 1.2);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  afterCursor,
+  decodeCursor,
+  encodeCursor,
+  getPaginationOptions,
+} from "../../src/utils/pagination.js";
+
+describe("getPaginationOptions", () => {
+  it("uses page 1 and the default limit when nothing is given", () => {
+    assert.deepEqual(getPaginationOptions(), { page: 1, limit: 10 });
+    assert.deepEqual(getPaginationOptions({}, 20), { page: 1, limit: 20 });
+  });
+
+  it("parses numbers and strings", () => {
+    assert.deepEqual(getPaginationOptions({ page: "3", limit: 25 }), {
+      page: 3,
+      limit: 25,
+    });
+  });
+
+  it("keeps page and limit in range", () => {
+    assert.deepEqual(getPaginationOptions({ page: -2, limit: 500 }), {
+      page: 1,
+      limit: 50,
+    });
+    assert.deepEqual(getPaginationOptions({ page: "abc", limit: "-5" }), {
+      page: 1,
+      limit: 1,
+    });
+  });
+});
+
+describe("cursors", () => {
+  const item = {
+    createdAt: new Date("2024-05-01T10:00:00.000Z"),
+    _id: new mongoose.Types.ObjectId(),
+  };
+
+  it("decodes what encodeCursor produced", () => {
+    const cursor = encodeCursor(item);
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/, "url safe");
+    const decoded = decodeCursor(cursor);
+    assert.equal(decoded.createdAt.getTime(), item.createdAt.getTime());
+    assert.ok(decoded._id instanceof mongoose.Types.ObjectId);
+    assert.ok(decoded._id.equals(item._id));
+  });
+
+  it("returns null for malformed cursors", () => {
+    const encode = (value) => Buffer.from(value).toString("base64url");
+    assert.equal(decodeCursor("not a cursor"), null);
+    assert.equal(decodeCursor(encode("{")), null);
+    assert.equal(
+      decodeCursor(encode(JSON.stringify({ createdAt: "x", _id: item._id }))),
+      null
+    );
+    assert.equal(
+      decodeCursor(
+        encode(JSON.stringify({ createdAt: item.createdAt, _id: "nope" }))
+      ),
+      null
+    );
+  });
+
+  it("matches the items after the cursor, newest first", () => {
+    assert.deepEqual(afterCursor(item), {
+      $or: [
+        { createdAt: { $lt: item.createdAt } },
+        { createdAt: item.createdAt, _id: { $lt: item._id } },
+      ],
+    });
+  });
+});
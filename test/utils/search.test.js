@@ -0,0 +1,70 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  escapeRegex,
+  getSearchTerms,
+  typoTolerantPattern,
+} from "../../src/utils/search.js";
+
+const matches = (term, text) =>
+  new RegExp(`^${typoTolerantPattern(term)}$`, "i").test(text);
+
+describe("escapeRegex", () => {
+  it("escapes every RegExp special character", () => {
+    const input = "a.b*c+d?e^f$g{h}i(j)k|l[m]n\\o";
+    assert.ok(new RegExp(`^${escapeRegex(input)}$`).test(input));
+    assert.equal(new RegExp(escapeRegex(".*")).test("abc"), false);
+  });
+});
+
+describe("getSearchTerms", () => {
+  it("splits on anything but letters and digits, lowercased and without duplicates", () => {
+    assert.deepEqual(getSearchTerms("Lo-Fi MUSIC, music & beats!"), [
+      "music",
+      "beats",
+    ]);
+  });
+
+  it("keeps non latin letters", () => {
+    assert.deepEqual(getSearchTerms("Café Müller"), ["café", "müller"]);
+  });
+
+  it("drops terms shorter than 3 characters and keeps at most 5", () => {
+    assert.deepEqual(getSearchTerms("a an the one two three four five six"), [
+      "the",
+      "one",
+      "two",
+      "three",
+      "four",
+    ]);
+    assert.deepEqual(getSearchTerms("   "), []);
+  });
+});
+
+describe("typoTolerantPattern", () => {
+  it("matches the word itself and words with one typo", () => {
+    assert.ok(matches("music", "music"));
+    assert.ok(matches("music", "musik"), "replaced");
+    assert.ok(matches("music", "musc"), "missing");
+    assert.ok(matches("music", "musiic"), "added");
+    assert.ok(matches("music", "muisc"), "swapped");
+    assert.ok(matches("music", "MUSIC"), "case insensitive");
+  });
+
+  it("does not match words with two typos", () => {
+    assert.equal(matches("music", "mosak"), false);
+    assert.equal(matches("music", "mus"), false);
+    assert.equal(matches("music", "musicals"), false);
+  });
+
+  it("requires short words to match exactly", () => {
+    assert.equal(typoTolerantPattern("cat"), "cat");
+    assert.equal(matches("cat", "cut"), false);
+  });
+
+  it("escapes user input", () => {
+    assert.equal(matches("c++x", "c++x"), true);
+    assert.equal(matches("a.b*", "aXbbbb"), false);
+    assert.doesNotThrow(() => new RegExp(typoTolerantPattern("((((")));
+  });
+});
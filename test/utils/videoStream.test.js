@@ -0,0 +1,71 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import {
+  createStreamUrl,
+  getVideoMimeType,
+  isRangeStillValid,
+  verifyStreamToken,
+} from "../../src/utils/videoStream.js";
+
+const videoId = "64b000000000000000000001";
+
+describe("isRangeStillValid", () => {
+  const etag = '"1f4-18f2"';
+  const lastModified = new Date("2024-05-01T10:00:00.500Z");
+
+  it("honors ranges without If-Range", () => {
+    assert.equal(isRangeStillValid(undefined, etag, lastModified), true);
+  });
+
+  it("compares an ETag exactly", () => {
+    assert.equal(isRangeStillValid(etag, etag, lastModified), true);
+    assert.equal(isRangeStillValid('"other"', etag, lastModified), false);
+    assert.equal(isRangeStillValid(`W/${etag}`, etag, lastModified), false);
+  });
+
+  it("compares a date with second precision", () => {
+    const date = "Wed, 01 May 2024 10:00:00 GMT";
+    assert.equal(isRangeStillValid(date, etag, lastModified), true);
+    const older = "Wed, 01 May 2024 09:59:59 GMT";
+    assert.equal(isRangeStillValid(older, etag, lastModified), false);
+    assert.equal(isRangeStillValid("yesterday", etag, lastModified), false);
+  });
+});
+
+describe("stream tokens", () => {
+  process.env.STREAM_TOKEN_SECRET = "stream-secret";
+
+  const tokenOf = (url) =>
+    new URL(url, "http://localhost").searchParams.get("token");
+
+  it("verifies a token for its video and returns the viewer", () => {
+    const { url, expiresAt } = createStreamUrl(videoId, "viewer-1");
+    assert.ok(
+      url.endsWith(`/api/v1/videos/${videoId}/stream?token=${tokenOf(url)}`)
+    );
+    assert.ok(expiresAt > new Date());
+    assert.equal(verifyStreamToken(tokenOf(url), videoId), "viewer-1");
+  });
+
+  it("rejects a token of another video", () => {
+    const { url } = createStreamUrl(videoId);
+    assert.throws(
+      () => verifyStreamToken(tokenOf(url), "64b000000000000000000002"),
+      { statusCode: 401 }
+    );
+  });
+
+  it("rejects tokens that are not stream tokens", () => {
+    const token = jwt.sign({ vid: videoId, sid: "session" }, "stream-secret");
+    assert.throws(() => verifyStreamToken(token, videoId), { statusCode: 401 });
+  });
+});
+
+describe("getVideoMimeType", () => {
+  it("answers by extension, case insensitive", () => {
+    assert.equal(getVideoMimeType("/videos/a.MP4"), "video/mp4");
+    assert.equal(getVideoMimeType("a.mov"), "video/quicktime");
+    assert.equal(getVideoMimeType("a.bin"), "application/octet-stream");
+  });
+});